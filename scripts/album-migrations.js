@@ -0,0 +1,81 @@
+// ============================================
+// ALBUM MIGRATIONS
+// ============================================
+// Upgrades album files written for older schema versions to the current
+// shape, one version at a time, before validation and sanitizeTrack() run.
+// Files without "schemaVersion" are version 1. Steps list their fields
+// explicitly so they keep working as the schema moves on.
+import { ALBUM_SCHEMA_VERSION } from './album-schema.js';
+import { formatTime } from './utils.js';
+
+const V1_NUMBER_FIELDS = ['trackNumber', 'bpm', 'beatOffset', 'focusValue', 'pulseValue'];
+const V1_BOOLEAN_FIELDS = ['segueInto'];
+
+function parseNumber(value) {
+  if (typeof value !== 'string' || value.trim() === '') return value;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : value;
+}
+
+function parseBoolean(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return value;
+}
+
+// 1 → 2: numbers and flags written as strings become real values, and a
+// duration given in seconds becomes "m:ss"
+function migrateTrackV1(track) {
+  if (!track || typeof track !== 'object') return track;
+
+  const next = { ...track };
+  V1_NUMBER_FIELDS.forEach((field) => {
+    if (field in next) next[field] = parseNumber(next[field]);
+  });
+  V1_BOOLEAN_FIELDS.forEach((field) => {
+    if (field in next) next[field] = parseBoolean(next[field]);
+  });
+  if (typeof next.duration === 'number' && Number.isFinite(next.duration)) {
+    next.duration = formatTime(next.duration);
+  }
+  return next;
+}
+
+// MIGRATIONS[n] upgrades a version-n album to version n + 1
+const MIGRATIONS = {
+  1: (album) => ({
+    ...album,
+    tracks: album.tracks.map(migrateTrackV1),
+  }),
+};
+
+export function getSchemaVersion(album) {
+  return Number.isInteger(album?.schemaVersion) ? album.schemaVersion : 1;
+}
+
+// Returns a new object; the input is left untouched. Albums from a newer
+// schema are returned as-is for validateAlbum() to report.
+export function migrateAlbum(album) {
+  if (!album || !Array.isArray(album.tracks)) return album;
+
+  let version = getSchemaVersion(album);
+  if (version >= ALBUM_SCHEMA_VERSION) return album;
+
+  let migrated = album;
+  while (version < ALBUM_SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      throw new Error(`No album migration from schema version ${version}`);
+    }
+    migrated = migrate(migrated);
+    version += 1;
+  }
+
+  // Keep "$schema" and "schemaVersion" at the top when the file is written back
+  const { $schema, schemaVersion, ...rest } = migrated;
+  return {
+    ...($schema ? { $schema } : {}),
+    schemaVersion: ALBUM_SCHEMA_VERSION,
+    ...rest,
+  };
+}
@@ -0,0 +1,96 @@
+// ============================================
+// ALBUM SCHEMA
+// ============================================
+// Field rules for album files, shared by validation.js and the Node tools.
+// Each rule is { type, required, min?, max?, pattern?, description }.
+// Bump ALBUM_SCHEMA_VERSION when the shape changes and add the matching step
+// to album-migrations.js. tools/export-album-schema.mjs writes the same rules
+// out as standard JSON Schema (data/album.schema.json).
+import { VALIDATION } from './constants.js';
+
+export const ALBUM_SCHEMA_VERSION = 2;
+
+export const ALBUM_FIELDS = {
+  schemaVersion: { type: 'number', required: true, description: 'Album file format version' },
+  band: { type: 'string', required: true, description: 'Artist name shown in the header' },
+  album: { type: 'string', required: true, description: 'Album title shown in the header' },
+  notes: { type: 'string', required: false, description: 'Free-form liner notes' },
+};
+
+export const TRACK_FIELDS = {
+  id: { type: 'string', required: true, description: 'Stable slug used in URLs and layouts' },
+  title: { type: 'string', required: true },
+  trackNumber: { type: 'number', required: true, description: 'Position on the record' },
+  duration: { type: 'string', required: false, description: 'Display length, e.g. "4:48"' },
+  bpm: { type: 'number', min: VALIDATION.MIN_BPM, max: VALIDATION.MAX_BPM, required: true },
+  beatOffset: { type: 'number', min: 0, required: false, description: 'ms from the start to the first downbeat' },
+  key: { type: 'string', pattern: VALIDATION.KEY_PATTERN, required: true, description: 'Musical key, e.g. "F♯ Min", "Bb Maj" or "D Dorian"' },
+  soundcloudId: { type: 'string', required: false, description: 'SoundCloud track URL' },
+  audioUrl: { type: 'string', required: false, description: 'Self-hosted audio file; preferred over SoundCloud. Other origins need CORS headers for the audio-reactive visuals' },
+  peaksUrl: { type: 'string', required: false, description: 'JSON file of waveform peaks' },
+  segueInto: { type: 'boolean', required: false, description: 'Flows into the next track without a gap' },
+  focus: { type: 'string', required: false },
+  focusValue: { type: 'number', min: 0, max: 1, required: false },
+  pulse: { type: 'string', required: false },
+  pulseValue: { type: 'number', min: 0, max: 1, required: false },
+};
+
+function fieldToJSONSchema(rules) {
+  const schema = { type: rules.type };
+  if (rules.description) schema.description = rules.description;
+  if (rules.min !== undefined) schema.minimum = rules.min;
+  if (rules.max !== undefined) schema.maximum = rules.max;
+  if (rules.pattern) schema.pattern = rules.pattern.source;
+  return schema;
+}
+
+function fieldsToProperties(fields) {
+  return Object.fromEntries(
+    Object.entries(fields).map(([field, rules]) => [field, fieldToJSONSchema(rules)])
+  );
+}
+
+function requiredFields(fields) {
+  return Object.keys(fields).filter((field) => fields[field].required);
+}
+
+// JSON Schema (draft 2020-12) for the current album format
+export function getAlbumJSONSchema() {
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: 'album.schema.json',
+    title: 'Starmap album',
+    type: 'object',
+    required: [...requiredFields(ALBUM_FIELDS), 'tracks'],
+    properties: {
+      $schema: { type: 'string' },
+      ...fieldsToProperties(ALBUM_FIELDS),
+      schemaVersion: { ...fieldToJSONSchema(ALBUM_FIELDS.schemaVersion), const: ALBUM_SCHEMA_VERSION },
+      layouts: {
+        type: 'object',
+        description: 'Per-layout overrides keyed by layout id',
+        additionalProperties: { type: 'object' },
+      },
+      tracks: {
+        type: 'array',
+        minItems: 1,
+        items: { $ref: '#/$defs/track' },
+      },
+    },
+    $defs: {
+      track: {
+        type: 'object',
+        required: requiredFields(TRACK_FIELDS),
+        properties: {
+          ...fieldsToProperties(TRACK_FIELDS),
+          peaks: {
+            type: 'array',
+            description: 'Inline waveform peaks',
+            items: { type: 'number', minimum: 0, maximum: 1 },
+          },
+        },
+        anyOf: [{ required: ['soundcloudId'] }, { required: ['audioUrl'] }],
+      },
+    },
+  };
+}
@@ -0,0 +1,315 @@
+// ============================================
+// AUDIO ELEMENT PLAYER (Native HTML5 backend)
+// ============================================
+// Plays self-hosted files (a track's `audioUrl`) through the <audio> elements
+// in index.html. Mirrors SoundCloudPlayer: promise-based controls, times in
+// milliseconds and the same event names, so main.js can drive either one.
+//
+// Given a second element, tracks alternate between the two: the next track
+// can fade in over the current one (load with `crossfade` ms) or be buffered
+// ahead of time with preload() so a segue starts without a gap. Events only
+// come from the element holding the current track.
+//
+// With `crossOrigin` set, files are requested with CORS so a Web Audio
+// analyser can read them. A host without Access-Control-Allow-Origin then
+// fails to load; it is retried as plain media while allowCorsFallback()
+// agrees, i.e. until the analyser has taken over the elements.
+import { AUDIO } from './constants.js';
+import { normalizeAudioUrl } from './utils.js';
+
+// Player event -> native media event
+const MEDIA_EVENTS = {
+  PLAY: "play",
+  PAUSE: "pause",
+  FINISH: "ended",
+  PLAY_PROGRESS: "timeupdate",
+  ERROR: "error",
+};
+
+const HAVE_METADATA = 1;
+
+function isCrossOrigin(src) {
+  return new URL(src, window.location.href).origin !== window.location.origin;
+}
+
+export class AudioElementPlayer {
+  constructor(audio, alternate = null, { crossOrigin = null, allowCorsFallback = () => true } = {}) {
+    if (!audio) {
+      throw new Error("Audio element is required");
+    }
+    this.elements = alternate ? [audio, alternate] : [audio];
+    this.audio = audio;           // element holding the current track
+    this.volume = 1;              // 0-1; fades scale this, never replace it
+    this.fade = null;
+    this.isReady = true;
+    this.eventHandlers = new Map();
+    this.crossOrigin = crossOrigin;
+    this.allowCorsFallback = allowCorsFallback;
+    this.elements.forEach((element) => this.applyCrossOrigin(element));
+  }
+
+  // The idle element, if there are two
+  get standby() {
+    return this.elements.find((element) => element !== this.audio) ?? null;
+  }
+
+  // The element needs no handshake; kept for parity with SoundCloudPlayer
+  async ensureReady() {}
+
+  async play() {
+    await this.audio.play();
+  }
+
+  async pause() {
+    this.finishFade();
+    this.audio.pause();
+  }
+
+  async togglePlayPause() {
+    const paused = await this.isPaused();
+    if (paused) {
+      await this.play();
+    } else {
+      await this.pause();
+    }
+    return !paused;
+  }
+
+  async isPaused() {
+    return this.audio.paused;
+  }
+
+  // Load a file and wait for its metadata so the duration is known. With a
+  // standby element the file goes there, and `crossfade` (ms) fades it in
+  // over the track that is still playing.
+  async load(url, options = {}) {
+    const src = normalizeAudioUrl(url);
+    if (!src) {
+      throw new Error(`Invalid audio URL: ${url}`);
+    }
+
+    this.finishFade();
+    const previous = this.audio;
+    const next = this.standby ?? previous;
+
+    if (next.src !== src || next.error) {
+      await this.loadSource(next, src);
+    } else if (next.readyState < HAVE_METADATA) {
+      await this.waitForMetadata(next);
+    } else {
+      next.currentTime = 0;
+    }
+
+    const fadeDuration = options.autoPlay && next !== previous && !previous.paused
+      ? Math.max(0, options.crossfade || 0)
+      : 0;
+
+    // Switch before pausing so the outgoing element's events are ignored
+    this.audio = next;
+    if (next !== previous && !fadeDuration) {
+      previous.pause();
+    }
+
+    if (!options.autoPlay) return;
+
+    if (fadeDuration) {
+      next.volume = 0;
+      await this.play();
+      this.startFade(previous, next, fadeDuration);
+    } else {
+      next.volume = this.volume;
+      await this.play();
+    }
+  }
+
+  // Buffer a file on the standby element so the next load() can start it
+  // immediately
+  preload(url) {
+    const src = normalizeAudioUrl(url);
+    const { standby } = this;
+    if (!src || !standby || this.fade || standby.src === src) return;
+
+    standby.preload = "auto";
+    this.applyCrossOrigin(standby);
+    standby.src = src;
+    standby.load();
+  }
+
+  applyCrossOrigin(element) {
+    if (this.crossOrigin) {
+      element.crossOrigin = this.crossOrigin;
+    } else {
+      element.removeAttribute("crossorigin");
+    }
+  }
+
+  async loadSource(element, src) {
+    this.applyCrossOrigin(element);
+    try {
+      await this.fetchMetadata(element, src);
+    } catch (error) {
+      if (!element.crossOrigin || !isCrossOrigin(src) || !this.allowCorsFallback()) throw error;
+
+      console.warn(`⚠️ ${src} refused CORS, playing it without the audio analyser`);
+      element.removeAttribute("crossorigin");
+      await this.fetchMetadata(element, src);
+    }
+  }
+
+  fetchMetadata(element, src) {
+    const metadata = this.waitForMetadata(element);
+    element.src = src;
+    element.load();
+    return metadata;
+  }
+
+  // Equal-power fade: the sum of both levels stays roughly constant
+  startFade(from, to, duration) {
+    const startedAt = Date.now();
+    const step = () => {
+      const progress = Math.min(1, (Date.now() - startedAt) / duration);
+      from.volume = this.volume * Math.cos((progress * Math.PI) / 2);
+      to.volume = this.volume * Math.sin((progress * Math.PI) / 2);
+      if (progress >= 1) this.finishFade();
+    };
+
+    this.fade = { from, to, timer: setInterval(step, AUDIO.FADE_INTERVAL) };
+    step();
+  }
+
+  // Jump a running fade to its end: outgoing silenced, incoming at full level
+  finishFade() {
+    if (!this.fade) return;
+
+    const { from, to, timer } = this.fade;
+    this.fade = null;
+    clearInterval(timer);
+    from.pause();
+    from.volume = this.volume;
+    to.volume = this.volume;
+  }
+
+  waitForMetadata(audio = this.audio) {
+    return new Promise((resolve, reject) => {
+      const finish = (callback) => {
+        clearTimeout(timeout);
+        audio.removeEventListener("loadedmetadata", onLoaded);
+        audio.removeEventListener("error", onError);
+        callback();
+      };
+      const onLoaded = () => finish(resolve);
+      const onError = () => finish(() => {
+        reject(new Error(`Failed to load audio: ${audio.error?.message || audio.src}`));
+      });
+      const timeout = setTimeout(() => {
+        finish(() => reject(new Error("Audio metadata timed out")));
+      }, AUDIO.READY_TIMEOUT);
+
+      audio.addEventListener("loadedmetadata", onLoaded);
+      audio.addEventListener("error", onError);
+    });
+  }
+
+  async getDuration() {
+    const { duration } = this.audio;
+    return Number.isFinite(duration) ? duration * 1000 : 0;
+  }
+
+  async seekTo(milliseconds) {
+    this.audio.currentTime = Math.max(0, milliseconds) / 1000;
+  }
+
+  async getPosition() {
+    return this.audio.currentTime * 1000;
+  }
+
+  // Volume is 0-100 to match the SoundCloud widget. A running fade picks
+  // up the new level on its next step.
+  async setVolume(volume) {
+    this.volume = Math.min(100, Math.max(0, volume)) / 100;
+    if (this.fade) return;
+    this.elements.forEach((element) => {
+      element.volume = this.volume;
+    });
+  }
+
+  async getVolume() {
+    return this.volume * 100;
+  }
+
+  get supportsPlaybackRate() {
+    return true;
+  }
+
+  async setPlaybackRate(rate) {
+    this.elements.forEach((element) => {
+      element.playbackRate = rate;
+    });
+  }
+
+  async getPlaybackRate() {
+    return this.audio.playbackRate;
+  }
+
+  // Shape native events like the widget's payloads
+  createEventPayload(eventName) {
+    if (eventName === "PLAY_PROGRESS") {
+      const duration = Number.isFinite(this.audio.duration) ? this.audio.duration * 1000 : 0;
+      const currentPosition = this.audio.currentTime * 1000;
+      return {
+        currentPosition,
+        duration,
+        relativePosition: duration ? currentPosition / duration : 0,
+      };
+    }
+    if (eventName === "ERROR") {
+      return this.audio.error || new Error("Audio playback error");
+    }
+    return undefined;
+  }
+
+  on(eventName, handler) {
+    const mediaEvent = MEDIA_EVENTS[eventName];
+    if (!mediaEvent) {
+      throw new Error(`Unknown audio event: ${eventName}`);
+    }
+
+    const listener = (event) => {
+      if (event.target === this.audio) handler(this.createEventPayload(eventName));
+    };
+    this.elements.forEach((element) => element.addEventListener(mediaEvent, listener));
+
+    if (!this.eventHandlers.has(eventName)) {
+      this.eventHandlers.set(eventName, []);
+    }
+    this.eventHandlers.get(eventName).push({ handler, listener });
+  }
+
+  off(eventName, handler) {
+    const mediaEvent = MEDIA_EVENTS[eventName];
+    const handlers = this.eventHandlers.get(eventName);
+    if (!mediaEvent || !handlers) return;
+
+    const index = handlers.findIndex((entry) => entry.handler === handler);
+    if (index > -1) {
+      const { listener } = handlers[index];
+      this.elements.forEach((element) => element.removeEventListener(mediaEvent, listener));
+      handlers.splice(index, 1);
+    }
+  }
+
+  cleanup() {
+    this.finishFade();
+    this.eventHandlers.forEach((handlers, eventName) => {
+      handlers.forEach(({ listener }) => {
+        this.elements.forEach((element) => {
+          element.removeEventListener(MEDIA_EVENTS[eventName], listener);
+        });
+      });
+    });
+
+    this.eventHandlers.clear();
+    this.elements.forEach((element) => element.pause());
+    console.log("✅ Audio element player cleaned up");
+  }
+}
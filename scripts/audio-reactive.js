@@ -0,0 +1,150 @@
+// ============================================
+// AUDIO-REACTIVE LEVELS
+// ============================================
+// Turns playback into per-frame band energies ({ bass, mid, treble, energy },
+// each 0-1) for the starfield and the playing node's halo. Both native
+// <audio> elements feed one Web Audio AnalyserNode, so a crossfade reads as a
+// single mix. The SoundCloud iframe can't be analysed, so the beat clock's
+// pulse at the track's BPM stands in.
+//
+// Once connected, playback is routed through the graph, and Web Audio mutes
+// cross-origin media fetched without CORS. The player requests CORS while
+// this controller exists and falls back to plain playback for hosts that
+// refuse it; the analyser only connects while every element still has CORS,
+// and from then on such hosts fail to load rather than play silence.
+import { AUDIO_REACTIVE } from './constants.js';
+
+export const LEVEL_SOURCES = {
+  ANALYSER: "analyser",
+  BPM: "bpm",
+};
+
+const SILENCE = Object.freeze({ bass: 0, mid: 0, treble: 0, energy: 0 });
+
+function averageBand(data, binWidth, [low, high]) {
+  const start = Math.max(0, Math.floor(low / binWidth));
+  const end = Math.min(data.length - 1, Math.ceil(high / binWidth));
+  if (end < start) return 0;
+
+  let sum = 0;
+  for (let i = start; i <= end; i += 1) sum += data[i];
+  return sum / ((end - start + 1) * 255);
+}
+
+export function createAudioReactiveController({ audio, beatClock, onLevels } = {}) {
+  let context = null;
+  let analyser = null;
+  let frequencyData = null;
+  let mode = LEVEL_SOURCES.BPM;
+  let isPlaying = false;
+  let animationFrame = null;
+  let levels = SILENCE;
+
+  // An element can only be wired into one MediaElementSource, and Chrome
+  // keeps the context suspended until a user gesture, so connect lazily
+  function connectAnalyser() {
+    if (analyser) return true;
+    const elements = [].concat(audio ?? []);
+    if (!elements.length || !elements.every((element) => element.crossOrigin)) return false;
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return false;
+
+    try {
+      context = new AudioContextClass();
+      analyser = context.createAnalyser();
+      analyser.fftSize = AUDIO_REACTIVE.FFT_SIZE;
+      analyser.smoothingTimeConstant = AUDIO_REACTIVE.SMOOTHING;
+      elements.forEach((element) => {
+        context.createMediaElementSource(element).connect(analyser);
+      });
+      analyser.connect(context.destination);
+      frequencyData = new Uint8Array(analyser.frequencyBinCount);
+      return true;
+    } catch (error) {
+      console.warn("⚠️ Audio analyser unavailable, using BPM pulse:", error);
+      analyser = null;
+      return false;
+    }
+  }
+
+  function readAnalyser() {
+    analyser.getByteFrequencyData(frequencyData);
+    const binWidth = context.sampleRate / analyser.fftSize;
+    const { BASS, MID, TREBLE } = AUDIO_REACTIVE.BANDS;
+    const bass = averageBand(frequencyData, binWidth, BASS);
+    const mid = averageBand(frequencyData, binWidth, MID);
+    const treble = averageBand(frequencyData, binWidth, TREBLE);
+    return { bass, mid, treble, energy: (bass + mid + treble) / 3 };
+  }
+
+  function readBeat(timestamp) {
+    const bass = beatClock?.getPulse(timestamp) ?? 0;
+    const mid = bass * 0.6;
+    const treble = bass * 0.35;
+    return { bass, mid, treble, energy: (bass + mid + treble) / 3 };
+  }
+
+  function sample(timestamp) {
+    if (!isPlaying) return SILENCE;
+    if (mode === LEVEL_SOURCES.ANALYSER && analyser) return readAnalyser();
+    return readBeat(timestamp);
+  }
+
+  function tick(timestamp) {
+    levels = sample(timestamp);
+    onLevels?.(levels);
+    animationFrame = isPlaying ? window.requestAnimationFrame(tick) : null;
+  }
+
+  function setSource(nextMode) {
+    mode = nextMode === LEVEL_SOURCES.ANALYSER && connectAnalyser()
+      ? LEVEL_SOURCES.ANALYSER
+      : LEVEL_SOURCES.BPM;
+  }
+
+  function setPlaying(playing) {
+    isPlaying = Boolean(playing);
+
+    if (isPlaying) {
+      if (context?.state === "suspended") {
+        context.resume().catch(() => {});
+      }
+      if (!animationFrame) animationFrame = window.requestAnimationFrame(tick);
+    } else {
+      if (animationFrame) {
+        window.cancelAnimationFrame(animationFrame);
+        animationFrame = null;
+      }
+      levels = SILENCE;
+      onLevels?.(levels);
+    }
+  }
+
+  // Latest levels, for consumers with their own animation loop
+  function getLevels() {
+    return levels;
+  }
+
+  // True once the elements play through Web Audio
+  function isAnalysing() {
+    return Boolean(analyser);
+  }
+
+  function destroy() {
+    setPlaying(false);
+    if (context) {
+      context.close().catch(() => {});
+      context = null;
+      analyser = null;
+    }
+  }
+
+  return {
+    setSource,
+    setPlaying,
+    getLevels,
+    isAnalysing,
+    destroy,
+  };
+}
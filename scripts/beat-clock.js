@@ -0,0 +1,107 @@
+// ============================================
+// BEAT CLOCK (tempo-synced pulse)
+// ============================================
+// Maps the player's position onto the current track's beat grid. The clock
+// is anchored from PLAY_PROGRESS positions and extrapolated between them with
+// performance.now(), so the pulse stays smooth even though the widget only
+// reports progress a few times per second.
+import { BEAT_CLOCK } from './constants.js';
+
+export function createBeatClock() {
+  let beatLength = 60000 / BEAT_CLOCK.FALLBACK_BPM;
+  let beatOffset = 0;
+  let origin = null;            // timestamp at which the song was at 0 ms
+  let rate = 1;                 // playback speed; the grid stretches with it
+
+  // `offset` is the position (ms) of the first downbeat, if known
+  function setTempo(bpm, offset = 0) {
+    const tempo = Number.isFinite(bpm) && bpm > 0 ? bpm : BEAT_CLOCK.FALLBACK_BPM;
+    beatLength = 60000 / tempo;
+    beatOffset = Number.isFinite(offset) ? offset : 0;
+  }
+
+  function setRate(playbackRate) {
+    const nextRate = Number.isFinite(playbackRate) && playbackRate > 0 ? playbackRate : 1;
+    if (origin !== null) {
+      // Keep the current song position when the speed changes
+      const now = performance.now();
+      origin = now - ((now - origin) * rate) / nextRate;
+    }
+    rate = nextRate;
+  }
+
+  // Re-anchor only on real drift (seeks, buffering) to avoid jitter
+  function sync(position, { force = false, timestamp = performance.now() } = {}) {
+    if (!Number.isFinite(position)) return;
+    const nextOrigin = timestamp - position / rate;
+    if (force || origin === null || Math.abs(nextOrigin - origin) > BEAT_CLOCK.RESYNC_THRESHOLD) {
+      origin = nextOrigin;
+    }
+  }
+
+  function pause() {
+    origin = null;
+  }
+
+  function isRunning() {
+    return origin !== null;
+  }
+
+  // 0 on the beat, rising towards 1 just before the next one; null if paused
+  function getPhase(timestamp = performance.now()) {
+    if (origin === null) return null;
+    const beats = ((timestamp - origin) * rate - beatOffset) / beatLength;
+    return beats - Math.floor(beats);
+  }
+
+  // Sharp attack on each beat, exponential decay until the next one
+  function getPulse(timestamp = performance.now()) {
+    const phase = getPhase(timestamp);
+    return phase === null ? 0 : Math.exp(-phase * BEAT_CLOCK.DECAY);
+  }
+
+  return {
+    setTempo,
+    setRate,
+    sync,
+    pause,
+    isRunning,
+    getPhase,
+    getPulse,
+  };
+}
+
+// Publishes the pulse as --beat-pulse on `element` once per frame while the
+// clock runs; CSS decides what actually moves
+export function createBeatPulseRenderer(clock, element) {
+  let frame = null;
+
+  function render(timestamp) {
+    if (!clock.isRunning()) {
+      stop();
+      return;
+    }
+    element.style.setProperty("--beat-pulse", clock.getPulse(timestamp).toFixed(3));
+    frame = window.requestAnimationFrame(render);
+  }
+
+  function start() {
+    if (!element || frame) return;
+    element.classList.add("is-beat-synced");
+    frame = window.requestAnimationFrame(render);
+  }
+
+  function stop() {
+    if (frame) {
+      window.cancelAnimationFrame(frame);
+      frame = null;
+    }
+    element?.classList.remove("is-beat-synced");
+    element?.style.removeProperty("--beat-pulse");
+  }
+
+  return {
+    start,
+    stop,
+  };
+}
@@ -0,0 +1,48 @@
+// ============================================
+// ALBUM CATALOG
+// ============================================
+// data/catalog.json lists the records the site can show, each pointing at
+// its own album JSON. The first entry is the default. Sites without a
+// manifest keep working: a missing catalog falls back to data/album.json.
+import { CATALOG } from './constants.js';
+import { validateCatalog } from './validation.js';
+
+function createFallbackCatalog() {
+  return {
+    albums: [{ id: "album", url: CATALOG.FALLBACK_ALBUM_URL }],
+  };
+}
+
+export async function loadCatalog(url = CATALOG.MANIFEST_URL) {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (error) {
+    console.warn("⚠️ Album catalog unavailable, using the single album:", error);
+    return createFallbackCatalog();
+  }
+
+  if (!response.ok) {
+    console.warn(`⚠️ No album catalog (HTTP ${response.status}), using the single album`);
+    return createFallbackCatalog();
+  }
+
+  const catalog = await response.json();
+  const errors = validateCatalog(catalog);
+  if (errors.length > 0) {
+    throw new Error(`Invalid album catalog: ${errors.map((error) => error.message).join("; ")}`);
+  }
+
+  console.log("✅ Album catalog loaded:", catalog.albums.length, "albums");
+  return catalog;
+}
+
+// Entry for `albumId`, or the default when it is missing or unknown
+export function getCatalogEntry(catalog, albumId = null) {
+  const albums = catalog?.albums ?? [];
+  return albums.find((entry) => entry.id === albumId) ?? albums[0] ?? null;
+}
+
+export function hasCatalogEntry(catalog, albumId) {
+  return Boolean(catalog?.albums?.some((entry) => entry.id === albumId));
+}
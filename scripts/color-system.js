@@ -2,13 +2,16 @@
 // COLOR SYSTEM
 // ============================================
 import { COLORS, COLOR_PALETTES, HALO } from './constants.js';
-import { extractKeyRoot, adjustColor, withAlpha } from './utils.js';
+import { adjustColor, withAlpha } from './utils.js';
+import { parseKey } from './key-parser.js';
 
 export function getKeyColors(key) {
-  const root = extractKeyRoot(key);
-  const isMajor = key?.includes("Maj");
+  // Palettes follow the pitch, so "A♭ Maj" and "G# Maj" match; modes
+  // with a minor third get the darker minor treatment
+  const parsed = parseKey(key);
+  const isMajor = parsed ? !parsed.isMinor : false;
 
-  const idx = COLORS.KEY_ORDER.indexOf(root);
+  const idx = parsed ? COLORS.KEY_ORDER.indexOf(parsed.root) : -1;
   const palette = COLOR_PALETTES[idx >= 0 ? idx : 0];
 
   const brightness = isMajor ? COLORS.MAJOR_BRIGHTNESS : COLORS.MINOR_BRIGHTNESS;
@@ -69,6 +69,48 @@ export const LAYOUT = {
     RADIUS_GROWTH: 0.065,
     TOTAL_ROTATIONS: 2.8,
   },
+  KEY_WHEEL: {
+    OUTER_RADIUS: 0.4,           // Major keys
+    INNER_RADIUS: 0.24,          // Minor keys
+    START_ANGLE: -Math.PI / 2,   // C Major at twelve o'clock
+    SHARED_KEY_SPREAD: 0.14,     // Radians between tracks in the same key
+  },
+  FOCUS_PULSE: {
+    PLOT_MIN: 0.14,              // Normalized plot area edges
+    PLOT_MAX: 0.86,
+    TICKS: [0, 0.25, 0.5, 0.75, 1],
+    QUADRANTS: {
+      HIGH_FOCUS_HIGH_PULSE: "Bright Core",
+      HIGH_FOCUS_LOW_PULSE: "Inner Calm",
+      LOW_FOCUS_HIGH_PULSE: "Outward Rush",
+      LOW_FOCUS_LOW_PULSE: "Open Drift",
+    },
+  },
+  GRAVITY: {
+    SEED: 4242,
+    ITERATIONS: 320,
+    MIN_DISTANCE: 0.1,           // Rest length between identical tracks
+    DISTANCE_RANGE: 0.55,        // Added rest length for completely unlike tracks
+    SPRING_STRENGTH: 0.08,
+    CENTER_PULL: 0.01,
+    INITIAL_STEP: 1,
+    COOLING: 0.985,              // Step multiplier per iteration
+    MAX_LINK_DEGREE: 2,          // Strongest links drawn per track
+    MIN_LINK_SIMILARITY: 0.55,
+    WEIGHTS: { BPM: 0.35, KEY: 0.3, FOCUS: 0.175, PULSE: 0.175 },
+  },
+};
+
+// Collision Relaxation (post-layout pass)
+export const RELAXATION = {
+  ITERATIONS: 80,
+  NODE_PADDING: 6,               // Extra gap between flares (viewBox units)
+  COLLISION_SCALE: NODE.FLARE_SCALE, // Flare radius, the widest circle a node draws
+  LABEL_CHAR_WIDTH: 12,          // 13px mono + 0.32em letter-spacing
+  LABEL_HEIGHT: 16,
+  LABEL_OFFSET: 18,              // Matches label dy in createNodeElements()
+  ANCHOR_STRENGTH: 0.06,         // Pull back toward the layout's own position
+  FALLBACK_ANGLE: 2.399963,      // Golden angle for coincident nodes
 };
 
 // Color System
@@ -95,8 +137,60 @@ export const AUDIO = {
   WIDGET_LOAD_RETRIES: 50,
   RETRY_INTERVAL: 100,          // ms between retries
   READY_TIMEOUT: 10000,         // ms before widget ready timeout
+  WIDGET_RECOVERY_ATTEMPTS: 3,  // widget restarts before giving up
+  WIDGET_RECOVERY_DELAY: 1000,  // ms, multiplied by the attempt number
   SOUNDCLOUD_BASE_URL: "https://w.soundcloud.com/player/",
   SOUNDCLOUD_API_BASE: "https://api.soundcloud.com/tracks/",
+  SEEK_STEP: 5000,              // ms per Left/Right on the progress slider
+  SEEK_PAGE_STEP: 30000,        // ms per PageUp/PageDown
+  DEFAULT_VOLUME: 80,           // 0-100
+  VOLUME_STEP: 10,              // per +/- key press
+  PLAYBACK_RATES: [0.75, 1, 1.25, 1.5],
+  PREFERENCES_KEY: "starmap:player",
+  CROSSFADE_DURATIONS: [0, 2000, 4000, 8000], // ms; 0 switches tracks hard
+  DEFAULT_CROSSFADE: 2000,
+  FADE_INTERVAL: 50,            // ms between crossfade volume steps
+  PRELOAD_LEAD: 15000,          // ms before a segue ends to buffer the next track
+};
+
+// Audio-reactive visuals (Web Audio analyser, BPM fallback)
+export const AUDIO_REACTIVE = {
+  FFT_SIZE: 512,
+  SMOOTHING: 0.8,
+  BANDS: {
+    BASS: [20, 250],            // Hz
+    MID: [250, 2000],
+    TREBLE: [2000, 12000],
+  },
+  HALO_SCALE_RANGE: 0.35,       // extra halo scale at full bass
+};
+
+// Waveform progress bar
+export const WAVEFORM = {
+  BAR_COUNT: 96,
+  BAR_GAP: 0.35,                // fraction of each bar slot left empty
+  MIN_BAR_HEIGHT: 0.08,         // keeps silent passages visible
+};
+
+// Beat clock (tempo-synced pulse from track.bpm)
+export const BEAT_CLOCK = {
+  FALLBACK_BPM: 100,
+  DECAY: 5,                     // higher = shorter pulse after each beat
+  RESYNC_THRESHOLD: 80,         // ms of drift tolerated before re-anchoring
+};
+
+// Media Session (lock screen & hardware keys)
+export const MEDIA_SESSION = {
+  DEFAULT_ARTWORK: [
+    { src: "/favicon.svg", sizes: "any", type: "image/svg+xml" },
+  ],
+};
+
+// Album catalog (data/catalog.json lists one JSON file per record)
+export const CATALOG = {
+  MANIFEST_URL: "data/catalog.json",
+  FALLBACK_ALBUM_URL: "data/album.json", // used when there is no manifest
+  ID_PATTERN: /^[a-z0-9][a-z0-9-]*$/,
 };
 
 // Performance
@@ -109,7 +203,9 @@ export const PERFORMANCE = {
 export const VALIDATION = {
   MIN_BPM: 40,
   MAX_BPM: 200,
-  KEY_PATTERN: /^[A-G][♭#]?\s?(Maj|Min)$/,
+  // Tonic, accidental (♯ # ♭ b) and an optional quality; key-parser.js
+  // reads the groups. Case is spelled out so the JSON Schema export matches.
+  KEY_PATTERN: /^([A-G])([♯#♭b])?\s*([Mm]aj(?:or)?|[Mm]in(?:or)?|[Ii]onian|[Dd]orian|[Pp]hrygian|[Ll]ydian|[Mm]ixolydian|[Aa]eolian|[Ll]ocrian|M|m)?$/,
 };
 
 // Color Palettes (indexed by key)
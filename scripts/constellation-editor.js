@@ -0,0 +1,308 @@
+// ============================================
+// CONSTELLATION EDITOR (opt-in via ?edit=1)
+// ============================================
+// Drag nodes to reposition them, click one node and then another to toggle
+// a link between them, and export the result as a "layouts" block for
+// album.json. Edits live in state.positions / state.links until the next
+// applyLayout(), so switching layouts starts from the computed shape again.
+import { DOM, state, getNode, getCachedBounds } from './dom-cache.js';
+import {
+  renderLinks,
+  revealLinks,
+  updateAllLinkPositions,
+  mapToCanvasX,
+  mapToCanvasY,
+  mapFromCanvasX,
+  mapFromCanvasY,
+} from './link-renderer.js';
+import { getLayoutName } from './layouts/index.js';
+
+const DRAG_THRESHOLD = 4;   // px of pointer travel before a press becomes a drag
+
+export function isEditModeRequested(search = window.location.search) {
+  const flag = new URLSearchParams(search).get('edit');
+  return flag === '1' || flag === 'true';
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+function linkKey(fromId, toId) {
+  return [fromId, toId].sort().join('|');
+}
+
+// Group linked tracks into patterns, keeping names from the album's
+// existing patterns where most of a group's stars came from one of them.
+function buildPatternsExport(positions, links, previousPatterns, trackOrder) {
+  const parent = new Map(trackOrder.map((id) => [id, id]));
+  const find = (id) => {
+    while (parent.get(id) !== id) id = parent.get(id);
+    return id;
+  };
+  links.forEach(([fromId, toId]) => {
+    if (parent.has(fromId) && parent.has(toId)) parent.set(find(fromId), find(toId));
+  });
+
+  const previousOwner = new Map();
+  (previousPatterns || []).forEach((pattern) => {
+    (pattern.tracks || []).forEach((trackId) => previousOwner.set(trackId, pattern.name));
+  });
+
+  const groups = new Map();
+  trackOrder.forEach((id) => {
+    if (!positions[id]) return;
+    const root = find(id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(id);
+  });
+
+  const usedNames = new Set();
+  return Array.from(groups.values()).map((members, idx) => {
+    const votes = new Map();
+    members.forEach((id) => {
+      const owner = previousOwner.get(id);
+      if (owner) votes.set(owner, (votes.get(owner) ?? 0) + 1);
+    });
+    const [bestName] = [...votes.entries()].sort((a, b) => b[1] - a[1])[0] ?? [];
+    let name = bestName && !usedNames.has(bestName) ? bestName : `Pattern ${idx + 1}`;
+    if (usedNames.has(name)) name = `${name} (${idx + 1})`;
+    usedNames.add(name);
+
+    const indexOf = new Map(members.map((id, i) => [id, i]));
+    return {
+      name,
+      tracks: members,
+      points: members.map((id) => ({ x: round(positions[id].x), y: round(positions[id].y) })),
+      links: links
+        .filter(([fromId, toId]) => indexOf.has(fromId) && indexOf.has(toId))
+        .map(([fromId, toId]) => [indexOf.get(fromId), indexOf.get(toId)]),
+    };
+  });
+}
+
+export function buildLayoutExport(layoutId, positions, links, album) {
+  const pairs = (links || []).map(([fromId, toId]) => [fromId, toId]);
+
+  if (layoutId === 'constellations') {
+    const previous = album?.layouts?.constellations?.patterns;
+    const trackOrder = (album?.tracks || []).map((track) => track.id);
+    return { [layoutId]: { patterns: buildPatternsExport(positions, pairs, previous, trackOrder) } };
+  }
+
+  const exportedPositions = {};
+  Object.entries(positions || {}).forEach(([id, pos]) => {
+    exportedPositions[id] = { x: round(pos.x), y: round(pos.y) };
+  });
+
+  return {
+    [layoutId]: {
+      positions: exportedPositions,
+      links: pairs,
+      options: { normalize: false, relax: false },
+    },
+  };
+}
+
+function createEditorPanel() {
+  const panel = document.createElement('aside');
+  panel.className = 'constellation-editor';
+  panel.setAttribute('aria-label', 'Constellation editor');
+  panel.innerHTML = `
+    <div class="constellation-editor__header">
+      <span class="constellation-editor__label">Editing</span>
+      <span class="constellation-editor__layout"></span>
+    </div>
+    <p class="constellation-editor__hint">Drag stars to move them. Click two stars to add or remove the link between them.</p>
+    <div class="constellation-editor__actions">
+      <button type="button" class="constellation-editor__btn" data-action="export">Export JSON</button>
+      <button type="button" class="constellation-editor__btn" data-action="copy">Copy</button>
+    </div>
+    <textarea class="constellation-editor__output" readonly rows="8" spellcheck="false"></textarea>
+  `;
+  document.body.appendChild(panel);
+  return panel;
+}
+
+export function createConstellationEditor() {
+  if (!DOM.starmapSvg || !DOM.nodeLayer) return null;
+
+  const panel = createEditorPanel();
+  const layoutLabel = panel.querySelector('.constellation-editor__layout');
+  const output = panel.querySelector('.constellation-editor__output');
+
+  let selectedId = null;
+  let drag = null;
+
+  document.body.classList.add('is-editing');
+
+  function toSvgPoint(event) {
+    const svg = DOM.starmapSvg;
+    const matrix = svg.getScreenCTM?.();
+    if (!matrix || !svg.createSVGPoint) return null;
+    const point = svg.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    return point.matrixTransform(matrix.inverse());
+  }
+
+  function setSelected(trackId) {
+    if (selectedId) getNode(selectedId)?.group.classList.remove('is-edit-selected');
+    selectedId = trackId;
+    if (selectedId) getNode(selectedId)?.group.classList.add('is-edit-selected');
+  }
+
+  function moveNode(trackId, x, y) {
+    const nodeData = getNode(trackId);
+    const bounds = getCachedBounds();
+    if (!nodeData || !bounds) return;
+
+    const normalizedX = mapFromCanvasX(x, bounds.width);
+    const normalizedY = mapFromCanvasY(y, bounds.height);
+    const canvasX = mapToCanvasX(normalizedX, bounds.width);
+    const canvasY = mapToCanvasY(normalizedY, bounds.height);
+    const { group } = nodeData;
+
+    group.dataset.x = String(canvasX);
+    group.dataset.y = String(canvasY);
+    group.style.transform = `translate(${canvasX}px, ${canvasY}px)`;
+    group.setAttribute('transform', `translate(${canvasX} ${canvasY})`);
+    group.style.transformOrigin = `${canvasX}px ${canvasY}px`;
+
+    state.positions[trackId] = {
+      ...state.positions[trackId],
+      x: normalizedX,
+      y: normalizedY,
+    };
+    updateAllLinkPositions();
+  }
+
+  function toggleLink(fromId, toId) {
+    const key = linkKey(fromId, toId);
+    const existing = state.links.findIndex(([a, b]) => linkKey(a, b) === key);
+    if (existing >= 0) {
+      state.links = state.links.filter((_, idx) => idx !== existing);
+    } else {
+      state.links = [...state.links, [fromId, toId]];
+    }
+    renderLinks(state.links);
+    updateAllLinkPositions();
+    revealLinks(0);
+  }
+
+  function handleNodePress(trackId) {
+    if (!selectedId) {
+      setSelected(trackId);
+    } else if (selectedId === trackId) {
+      setSelected(null);
+    } else {
+      toggleLink(selectedId, trackId);
+      setSelected(null);
+    }
+  }
+
+  const onPointerDown = (event) => {
+    const group = event.target.closest?.('.track-node');
+    if (!group) return;
+    event.stopPropagation();
+    event.preventDefault();
+
+    drag = {
+      id: group.dataset.id,
+      pointerId: event.pointerId,
+      startX: event.clientX,
+      startY: event.clientY,
+      moved: false,
+    };
+    group.style.transition = 'none';
+    DOM.starmapSvg.setPointerCapture?.(event.pointerId);
+  };
+
+  const onPointerMove = (event) => {
+    if (!drag || event.pointerId !== drag.pointerId) return;
+    const travel = Math.hypot(event.clientX - drag.startX, event.clientY - drag.startY);
+    if (!drag.moved && travel < DRAG_THRESHOLD) return;
+    drag.moved = true;
+
+    const point = toSvgPoint(event);
+    if (point) moveNode(drag.id, point.x, point.y);
+  };
+
+  const onPointerUp = (event) => {
+    if (!drag || event.pointerId !== drag.pointerId) return;
+    const { id, moved } = drag;
+    drag = null;
+    DOM.starmapSvg.releasePointerCapture?.(event.pointerId);
+
+    const nodeData = getNode(id);
+    if (nodeData) nodeData.group.style.transition = '';
+    if (!moved) handleNodePress(id);
+  };
+
+  // Keep node clicks/taps from starting playback while editing
+  const swallow = (event) => {
+    if (event.target.closest?.('.track-node')) event.stopPropagation();
+  };
+
+  const onPanelClick = (event) => {
+    const action = event.target.closest?.('[data-action]')?.dataset.action;
+    if (action === 'export') {
+      exportLayout();
+    } else if (action === 'copy') {
+      if (!output.value) exportLayout();
+      navigator.clipboard?.writeText(output.value).catch((error) => {
+        console.warn('⚠️ Clipboard unavailable:', error);
+      });
+      output.select();
+    }
+  };
+
+  const onKeyDown = (event) => {
+    if (event.key === 'Escape') setSelected(null);
+  };
+
+  function exportLayout() {
+    const block = buildLayoutExport(state.layout, state.positions, state.links, state.album);
+    output.value = JSON.stringify(block, null, 2);
+    return block;
+  }
+
+  function refresh() {
+    setSelected(null);
+    layoutLabel.textContent = getLayoutName(state.layout);
+    output.value = '';
+  }
+
+  function destroy() {
+    DOM.nodeLayer.removeEventListener('pointerdown', onPointerDown, true);
+    DOM.starmapSvg.removeEventListener('pointermove', onPointerMove);
+    DOM.starmapSvg.removeEventListener('pointerup', onPointerUp);
+    DOM.starmapSvg.removeEventListener('pointercancel', onPointerUp);
+    ['click', 'touchend'].forEach((type) => {
+      DOM.nodeLayer.removeEventListener(type, swallow, true);
+    });
+    panel.removeEventListener('click', onPanelClick);
+    document.removeEventListener('keydown', onKeyDown);
+    panel.remove();
+    document.body.classList.remove('is-editing');
+  }
+
+  DOM.nodeLayer.addEventListener('pointerdown', onPointerDown, true);
+  DOM.starmapSvg.addEventListener('pointermove', onPointerMove);
+  DOM.starmapSvg.addEventListener('pointerup', onPointerUp);
+  DOM.starmapSvg.addEventListener('pointercancel', onPointerUp);
+  ['click', 'touchend'].forEach((type) => {
+    DOM.nodeLayer.addEventListener(type, swallow, true);
+  });
+  panel.addEventListener('click', onPanelClick);
+  document.addEventListener('keydown', onKeyDown);
+
+  refresh();
+  console.log('✏️ Constellation editor enabled');
+
+  return {
+    refresh,
+    exportLayout,
+    destroy,
+  };
+}
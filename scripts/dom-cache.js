@@ -2,12 +2,14 @@
 // DOM CACHE & STATE MANAGEMENT
 // ============================================
 // Cached DOM references to avoid repeated queries
+import { createQueueState, createShuffleOrder } from './playback-queue.js';
 
 export const DOM = {
   // Canvas elements
   starmapSvg: null,
   nodeLayer: null,
   linkLayer: null,
+  guideLayer: null,
   gradientDefs: null,
   starfieldCanvas: null,
 
@@ -22,10 +24,25 @@ export const DOM = {
   trackTitleEl: null,
   customPlayer: null,
   audioPlayer: null,
+  audioPlayerAlt: null,
+  shuffleBtn: null,
+  muteBtn: null,
+  volumeSlider: null,
+  rateBtn: null,
+  crossfadeBtn: null,
+  repeatBtn: null,
+  upNextEl: null,
+  upNextTitleEl: null,
+  playerStatusEl: null,
 
   // UI elements
+  brandBandEl: null,
+  brandAlbumEl: null,
+  albumSwitcher: null,
+  albumSelect: null,
   metaPanel: null,
-  layoutButtons: null,
+  layoutControls: null,
+  layoutButtons: [],
 
   // Modal elements
   aboutButton: null,
@@ -84,6 +101,11 @@ export function initializeDOM() {
   DOM.starfieldCanvas = document.getElementById("starfield");
   DOM.starmapSvg = document.getElementById("starmap-canvas");
   DOM.metaPanel = document.getElementById("track-meta");
+  DOM.brandBandEl = document.getElementById("brand-band");
+  DOM.brandAlbumEl = document.getElementById("brand-album");
+  DOM.albumSwitcher = document.getElementById("album-switcher");
+  DOM.albumSelect = document.getElementById("album-select");
+  DOM.layoutControls = document.querySelector(".layout-controls");
   DOM.layoutButtons = Array.from(document.querySelectorAll(".layout-button"));
 
   // Player
@@ -97,6 +119,16 @@ export function initializeDOM() {
   DOM.trackTitleEl = document.getElementById("current-track-title");
   DOM.customPlayer = document.querySelector(".custom-player");
   DOM.audioPlayer = document.getElementById("audio-player");
+  DOM.audioPlayerAlt = document.getElementById("audio-player-alt");
+  DOM.shuffleBtn = document.getElementById("shuffle-btn");
+  DOM.muteBtn = document.getElementById("mute-btn");
+  DOM.volumeSlider = document.getElementById("volume-slider");
+  DOM.rateBtn = document.getElementById("rate-btn");
+  DOM.crossfadeBtn = document.getElementById("crossfade-btn");
+  DOM.repeatBtn = document.getElementById("repeat-btn");
+  DOM.upNextEl = document.getElementById("up-next");
+  DOM.upNextTitleEl = document.getElementById("up-next-title");
+  DOM.playerStatusEl = document.getElementById("player-status");
 
   // Modals
   DOM.aboutButton = document.getElementById("about-button");
@@ -135,9 +167,12 @@ export function initializeDOM() {
 // Application State
 export const state = {
   // Album data
+  catalog: null,
+  albumId: null,
   album: null,
   nodes: new Map(),
   positions: {},
+  links: [],
 
   // Layout
   layout: "constellations",
@@ -150,7 +185,13 @@ export const state = {
   isPlaying: false,
   currentTrackUrl: null,
   pendingTrack: null,
+  pendingSeek: null,            // ms to seek to once playback starts (deep links)
   defaultTrackId: null,
+  queue: createQueueState(),
+  volume: 80,                   // 0-100, kept while muted
+  isMuted: false,
+  playbackRate: 1,
+  crossfade: 2000,              // ms; 0 disables crossfading
 
   // UI state
   currentMetaTrackId: null,
@@ -169,6 +210,12 @@ export const state = {
 
   // Background animation
   starfieldController: null,
+
+  // Constellation editor (?edit=1)
+  editor: null,
+
+  // Validation overlay (localhost or ?validate=1)
+  validationOverlay: null,
 };
 
 // State getters/setters with validation
@@ -187,6 +234,8 @@ export function setAlbum(album) {
     return aNum - bNum;
   });
   state.trackOrder = orderedTracks.map((track) => track.id);
+  // A new album keeps shuffle on, with an order over its own tracks
+  state.queue.shuffleOrder = state.queue.shuffle ? createShuffleOrder(state.trackOrder) : [];
 }
 
 export function getAlbum() {
@@ -0,0 +1,218 @@
+// ============================================
+// FAKE SOUNDCLOUD WIDGET (offline development)
+// ============================================
+// Local stand-in for the SC.Widget API that api.js loads from
+// w.soundcloud.com, so the player can be worked on without network access.
+// Open the page with ?fake-sc=1 to use it.
+//
+// Tracks "play" silently on a simulated clock: PLAY_PROGRESS fires while
+// playing and FINISH at the end of the track. The clock follows real time by
+// default; pass { autoAdvance: false } and call SC.clock.advance(ms) to step
+// it by hand. Loading a URL listed in `failUrls`, or calling
+// widget.simulateError(), fires ERROR.
+//
+// The headless suite (test/app.test.mjs, `npm test`) drives the app through it.
+
+const EVENTS = {
+  READY: "ready",
+  LOAD_PROGRESS: "loadProgress",
+  PLAY_PROGRESS: "playProgress",
+  PLAY: "play",
+  PAUSE: "pause",
+  FINISH: "finish",
+  SEEK: "seek",
+  ERROR: "error",
+};
+
+const DEFAULT_OPTIONS = {
+  duration: 180000,             // ms for tracks not listed in `durations`
+  durations: {},                // url -> ms
+  failUrls: [],
+  tickInterval: 250,            // ms between PLAY_PROGRESS events
+  autoAdvance: true,
+};
+
+export function isFakeSoundCloudRequested(search = window.location.search) {
+  const flag = new URLSearchParams(search).get("fake-sc");
+  return flag === "1" || flag === "true";
+}
+
+// Time source shared by every fake widget. Listeners get the elapsed ms.
+function createSimulatedClock({ tickInterval, autoAdvance }) {
+  const listeners = new Set();
+  let timer = null;
+  let lastTick = 0;
+
+  function advance(milliseconds) {
+    listeners.forEach((listener) => listener(milliseconds));
+  }
+
+  function start() {
+    if (!autoAdvance || timer) return;
+    lastTick = Date.now();
+    timer = setInterval(() => {
+      const now = Date.now();
+      advance(now - lastTick);
+      lastTick = now;
+    }, tickInterval);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    advance,
+    start,
+    stop,
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
+
+// Callbacks arrive asynchronously, as they do over postMessage
+const defer = (callback) => setTimeout(callback, 0);
+
+function createFakeWidget(options, clock) {
+  const handlers = new Map();
+  let url = null;
+  let duration = 0;
+  let position = 0;
+  let paused = true;
+  let volume = 100;
+
+  function emit(event, payload) {
+    (handlers.get(event) || []).slice().forEach((handler) => handler(payload));
+  }
+
+  function progressPayload() {
+    return {
+      currentPosition: position,
+      relativePosition: duration ? position / duration : 0,
+      loadedProgress: 1,
+    };
+  }
+
+  clock.subscribe((elapsed) => {
+    if (paused || !url) return;
+
+    position = Math.min(duration, position + elapsed);
+    emit(EVENTS.PLAY_PROGRESS, progressPayload());
+
+    if (position >= duration) {
+      paused = true;
+      emit(EVENTS.FINISH, progressPayload());
+    }
+  });
+
+  const widget = {
+    bind(event, handler) {
+      if (!handlers.has(event)) handlers.set(event, []);
+      handlers.get(event).push(handler);
+      if (event === EVENTS.READY) defer(handler);
+    },
+
+    // Like the real widget: drops every handler for the event
+    unbind(event) {
+      handlers.delete(event);
+    },
+
+    load(nextUrl, { auto_play: autoPlay = false, callback } = {}) {
+      paused = true;
+      defer(() => {
+        if (options.failUrls.includes(nextUrl)) {
+          emit(EVENTS.ERROR, { message: `Could not load ${nextUrl}` });
+          return;
+        }
+
+        url = nextUrl;
+        duration = options.durations[nextUrl] ?? options.duration;
+        position = 0;
+        callback?.();
+        if (autoPlay) widget.play();
+      });
+    },
+
+    play() {
+      if (!url || !paused) return;
+      if (position >= duration) position = 0;
+      paused = false;
+      clock.start();
+      defer(() => emit(EVENTS.PLAY, progressPayload()));
+    },
+
+    pause() {
+      if (paused) return;
+      paused = true;
+      defer(() => emit(EVENTS.PAUSE, progressPayload()));
+    },
+
+    toggle() {
+      if (paused) widget.play();
+      else widget.pause();
+    },
+
+    seekTo(milliseconds) {
+      position = Math.min(duration, Math.max(0, milliseconds));
+      defer(() => {
+        emit(EVENTS.SEEK, progressPayload());
+        emit(EVENTS.PLAY_PROGRESS, progressPayload());
+      });
+    },
+
+    setVolume(level) {
+      volume = Math.min(100, Math.max(0, level));
+    },
+
+    getVolume(callback) {
+      defer(() => callback(volume));
+    },
+
+    getDuration(callback) {
+      defer(() => callback(duration));
+    },
+
+    getPosition(callback) {
+      defer(() => callback(position));
+    },
+
+    isPaused(callback) {
+      defer(() => callback(paused));
+    },
+
+    getCurrentSound(callback) {
+      defer(() => callback(url ? { permalink_url: url, duration } : null));
+    },
+
+    simulateError(payload = { message: "Simulated widget error" }) {
+      defer(() => emit(EVENTS.ERROR, payload));
+    },
+  };
+
+  return widget;
+}
+
+export function createFakeSoundCloud(overrides = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const clock = createSimulatedClock(options);
+  const widgets = new WeakMap();
+
+  // One widget per iframe, as with the real API
+  function Widget(iframe) {
+    if (!widgets.has(iframe)) {
+      widgets.set(iframe, createFakeWidget(options, clock));
+    }
+    return widgets.get(iframe);
+  }
+  Widget.Events = EVENTS;
+
+  return { Widget, clock };
+}
+
+export function installFakeSoundCloud(target = window, options = {}) {
+  target.SC = createFakeSoundCloud(options);
+  return target.SC;
+}
@@ -0,0 +1,87 @@
+// ============================================
+// GUIDE RENDERER (axes, ticks and annotations)
+// ============================================
+// Layouts may return a `guides` array of line/text primitives in normalized
+// coordinates. They live in their own layer beneath the links and are
+// replaced wholesale whenever a layout is applied. A text guide may name
+// `trackIds` instead of x/y to label a group of stars: it is centred over
+// their final positions, after collision relaxation has moved them.
+import { createSVGElement } from './utils.js';
+import { DOM, getCachedBounds } from './dom-cache.js';
+import { mapToCanvasX, mapToCanvasY } from './link-renderer.js';
+
+const TRACK_LABEL_GAP = 0.06;    // above the group's highest star
+const TRACK_LABEL_MIN_Y = 0.03;
+
+let revealFrame = null;
+
+function placeOverTracks(guide, positions) {
+  const points = guide.trackIds.map((trackId) => positions[trackId]).filter(Boolean);
+  if (!points.length) return null;
+  const x = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+  const top = Math.min(...points.map((point) => point.y));
+  return { ...guide, x, y: Math.max(TRACK_LABEL_MIN_Y, top - TRACK_LABEL_GAP) };
+}
+
+function createGuideLine(guide, width, height) {
+  const line = createSVGElement("line");
+  line.classList.add("starmap-guide", "starmap-guide--line");
+  if (guide.className) line.classList.add(guide.className);
+  line.setAttribute("x1", mapToCanvasX(guide.x1, width));
+  line.setAttribute("y1", mapToCanvasY(guide.y1, height));
+  line.setAttribute("x2", mapToCanvasX(guide.x2, width));
+  line.setAttribute("y2", mapToCanvasY(guide.y2, height));
+  return line;
+}
+
+function createGuideText(guide, width, height) {
+  const text = createSVGElement("text");
+  text.classList.add("starmap-guide", "starmap-guide--text");
+  if (guide.className) text.classList.add(guide.className);
+  text.setAttribute("x", mapToCanvasX(guide.x, width));
+  text.setAttribute("y", mapToCanvasY(guide.y, height));
+  text.setAttribute("text-anchor", guide.anchor || "middle");
+  if (guide.rotate) {
+    const x = mapToCanvasX(guide.x, width);
+    const y = mapToCanvasY(guide.y, height);
+    text.setAttribute("transform", `rotate(${guide.rotate} ${x} ${y})`);
+  }
+  text.textContent = guide.text ?? "";
+  return text;
+}
+
+// `positions`: the final node positions, for guides placed by `trackIds`
+export function renderGuides(guides, positions = {}) {
+  clearGuides();
+  if (!DOM.guideLayer || !guides || guides.length === 0) return;
+
+  const bounds = getCachedBounds();
+  if (!bounds) return;
+
+  const { width, height } = bounds;
+
+  guides.forEach((guide) => {
+    if (guide.type === "line") {
+      DOM.guideLayer.appendChild(createGuideLine(guide, width, height));
+    } else if (guide.type === "text") {
+      const placed = guide.trackIds ? placeOverTracks(guide, positions) : guide;
+      if (placed) DOM.guideLayer.appendChild(createGuideText(placed, width, height));
+    }
+  });
+
+  revealFrame = requestAnimationFrame(() => {
+    revealFrame = null;
+    DOM.guideLayer?.classList.add("is-visible");
+  });
+}
+
+export function clearGuides() {
+  if (revealFrame) {
+    cancelAnimationFrame(revealFrame);
+    revealFrame = null;
+  }
+  if (DOM.guideLayer) {
+    DOM.guideLayer.classList.remove("is-visible");
+    DOM.guideLayer.textContent = "";
+  }
+}
@@ -0,0 +1,85 @@
+// ============================================
+// KEY PARSER
+// ============================================
+// Reads the "key" strings album authors write ("F♯ Min", "Bb Maj", "G#m",
+// "D Dorian") into a pitch class and a mode for colours, layouts and
+// validation. Sharps may be written ♯ or #, flats ♭ or b; enharmonic
+// spellings (A♭ / G♯) share a pitch class and so a palette and a wheel
+// slot. The author's spelling is kept for display.
+import { VALIDATION } from "./constants.js";
+
+const LETTER_PITCHES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+const ACCIDENTALS = {
+  "": { symbol: "", shift: 0 },
+  "♯": { symbol: "♯", shift: 1 },
+  "#": { symbol: "♯", shift: 1 },
+  "♭": { symbol: "♭", shift: -1 },
+  b: { symbol: "♭", shift: -1 },
+};
+
+// Pitch classes named the way COLORS.KEY_ORDER (constants.js) names them
+const PITCH_NAMES = ["C", "C♯", "D", "D♯", "E", "F", "F♯", "G", "G♯", "A", "A♯", "B"];
+
+// `degree`: semitones from the major scale a mode borrows its notes from up
+// to the mode's tonic (D Dorian → C major). `minor`: has a minor third.
+export const KEY_MODES = {
+  major: { degree: 0, minor: false },
+  dorian: { degree: 2, minor: true },
+  phrygian: { degree: 4, minor: true },
+  lydian: { degree: 5, minor: false },
+  mixolydian: { degree: 7, minor: false },
+  minor: { degree: 9, minor: true },
+  locrian: { degree: 11, minor: true },
+};
+
+const QUALITY_ALIASES = {
+  maj: "major",
+  major: "major",
+  ionian: "major",
+  min: "minor",
+  minor: "minor",
+  aeolian: "minor",
+};
+
+// "M" and "m" are case-sensitive; a bare tonic ("E♭") means major
+function getMode(quality) {
+  if (!quality || quality === "M") return "major";
+  if (quality === "m") return "minor";
+  const name = quality.toLowerCase();
+  return QUALITY_ALIASES[name] ?? name;
+}
+
+// Returns null for anything VALIDATION.KEY_PATTERN rejects, surrounding
+// whitespace included, otherwise
+// {
+//   spelling,    // as written ("Bb Maj")
+//   tonic,       // letter with ♯/♭ ("B♭")
+//   root,        // enharmonic name from COLORS.KEY_ORDER ("A♯")
+//   pitchClass,  // 0 (C) to 11 (B)
+//   mode,        // a KEY_MODES name
+//   isMinor,
+//   parentRoot,  // root of the major scale the mode belongs to
+// }
+export function parseKey(key) {
+  if (typeof key !== "string") return null;
+
+  const match = key.match(VALIDATION.KEY_PATTERN);
+  if (!match) return null;
+
+  const [, letter, accidental = "", quality] = match;
+  const mode = getMode(quality);
+  const { symbol, shift } = ACCIDENTALS[accidental];
+  const pitchClass = (LETTER_PITCHES[letter] + shift + 12) % 12;
+
+  return {
+    spelling: key,
+    tonic: `${letter}${symbol}`,
+    root: PITCH_NAMES[pitchClass],
+    pitchClass,
+    mode,
+    isMinor: KEY_MODES[mode].minor,
+    parentRoot: PITCH_NAMES[(pitchClass - KEY_MODES[mode].degree + 12) % 12],
+  };
+}
+
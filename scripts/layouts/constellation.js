@@ -0,0 +1,169 @@
+// ============================================
+// CONSTELLATION LAYOUT ("Zodiac Weave")
+// ============================================
+// Albums can declare their own patterns under layouts.constellations.patterns:
+//   { name, tracks: [trackId, ...], points: [{ x, y }, ...], links: [[0, 1], ...] }
+// Points are normalized canvas coordinates matched to tracks by index and
+// links are index pairs into them. Without album patterns, the built-in
+// zodiac below is filled in album order.
+import { LAYOUT } from '../constants.js';
+import { clamp01 } from '../utils.js';
+import { registerLayout } from './layout-base.js';
+
+// Built-in pattern points, before LAYOUT.CONSTELLATION scaling
+const DEFAULT_PATTERNS = [
+  {
+    name: "Andromeda",
+    points: [
+      { x: 0.18, y: 0.22 },
+      { x: 0.26, y: 0.3 },
+      { x: 0.34, y: 0.38 },
+      { x: 0.46, y: 0.32 },
+    ],
+    links: [[0, 1], [1, 2], [2, 3]],
+  },
+  {
+    name: "Lyra",
+    points: [
+      { x: 0.62, y: 0.24 },
+      { x: 0.7, y: 0.18 },
+      { x: 0.78, y: 0.28 },
+      { x: 0.68, y: 0.36 },
+    ],
+    links: [[0, 1], [1, 2], [2, 3], [3, 0]],
+  },
+  {
+    name: "Pisces",
+    points: [
+      { x: 0.28, y: 0.72 },
+      { x: 0.36, y: 0.62 },
+      { x: 0.44, y: 0.7 },
+    ],
+    links: [[0, 1], [1, 2]],
+  },
+  {
+    name: "Orion",
+    points: [
+      { x: 0.58, y: 0.68 },
+      { x: 0.66, y: 0.62 },
+      { x: 0.74, y: 0.72 },
+    ],
+    links: [[0, 1], [1, 2]],
+  },
+];
+
+function scaleDefaultPoint({ x, y }) {
+  const { OFFSET_X, OFFSET_Y, SCALE, CENTER_X, CENTER_Y } = LAYOUT.CONSTELLATION;
+  return {
+    x: CENTER_X + (x - CENTER_X) * SCALE + OFFSET_X,
+    y: CENTER_Y + (y - CENTER_Y) * SCALE + OFFSET_Y,
+  };
+}
+
+function resolveDefaultPatterns(tracks) {
+  let trackIndex = 0;
+  return DEFAULT_PATTERNS.map((pattern) => {
+    const members = [];
+    pattern.points.forEach((point) => {
+      if (trackIndex >= tracks.length) return;
+      members.push({ id: tracks[trackIndex].id, ...scaleDefaultPoint(point) });
+      trackIndex += 1;
+    });
+    return { name: pattern.name, members, links: pattern.links };
+  });
+}
+
+function resolveAlbumPatterns(patterns, tracks) {
+  const known = new Set(tracks.map((track) => track.id));
+  const placed = new Set();
+
+  return patterns.filter((pattern) => pattern && typeof pattern === 'object').map((pattern) => {
+    const members = [];
+    (pattern.tracks || []).forEach((trackId, idx) => {
+      const point = pattern.points?.[idx];
+      if (!known.has(trackId) || placed.has(trackId)) return;
+      if (!point || !Number.isFinite(point.x) || !Number.isFinite(point.y)) return;
+      placed.add(trackId);
+      members[idx] = { id: trackId, x: clamp01(point.x), y: clamp01(point.y) };
+    });
+    const links = Array.isArray(pattern.links) ? pattern.links : [];
+    return {
+      name: pattern.name,
+      members,
+      links: links.filter((link) => isPointPair(link, members.length)),
+    };
+  });
+}
+
+// Placed by the guide renderer over the members' relaxed positions
+function patternLabel(pattern) {
+  const members = pattern.members.filter(Boolean);
+  if (!pattern.name || !members.length) return null;
+  return {
+    type: 'text',
+    trackIds: members.map((member) => member.id),
+    text: pattern.name,
+    className: 'starmap-guide--constellation',
+  };
+}
+
+// Album links are validated but only warned about, so skip anything that
+// isn't a pair of indexes into the pattern's points
+function isPointPair(link, size) {
+  return Array.isArray(link)
+    && link.length === 2
+    && link.every((index) => Number.isInteger(index) && index >= 0 && index < size);
+}
+
+export function constellationLayout(tracks, options = {}, overrides = null) {
+  const { OFFSET_X, OFFSET_Y } = LAYOUT.CONSTELLATION;
+  const albumPatterns = overrides?.patterns;
+  const patterns = Array.isArray(albumPatterns) && albumPatterns.length
+    ? resolveAlbumPatterns(albumPatterns, tracks)
+    : resolveDefaultPatterns(tracks);
+
+  const positions = {};
+  const links = [];
+  const tracksById = new Map(tracks.map((track) => [track.id, track]));
+
+  patterns.forEach((pattern) => {
+    pattern.members.forEach((member) => {
+      if (!member) return;
+      const track = tracksById.get(member.id);
+      positions[member.id] = {
+        x: member.x,
+        y: member.y,
+        altitude: 0.4 + track.pulseValue * 0.5,
+      };
+    });
+
+    pattern.links.forEach(([fromOffset, toOffset]) => {
+      const fromId = pattern.members[fromOffset]?.id;
+      const toId = pattern.members[toOffset]?.id;
+      if (fromId && toId) {
+        links.push([fromId, toId]);
+      }
+    });
+  });
+
+  const leftovers = tracks.filter((track) => !positions[track.id]);
+  leftovers.forEach((track, idx) => {
+    const spread = leftovers.length > 1 ? idx / (leftovers.length - 1) : 0.5;
+    positions[track.id] = {
+      x: 0.24 + OFFSET_X + spread * 0.52,
+      y: 0.78 + OFFSET_Y - 0.05 * (idx % 3),
+      altitude: 0.35 + track.pulseValue * 0.4,
+    };
+  });
+
+  const guides = patterns.map(patternLabel).filter(Boolean);
+
+  return { positions, links, guides };
+}
+
+registerLayout({
+  id: 'constellations',
+  name: 'Zodiac Weave',
+  compute: constellationLayout,
+  options: { normalize: false },
+});
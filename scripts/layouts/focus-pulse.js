@@ -0,0 +1,73 @@
+// ============================================
+// FOCUS / PULSE CHART LAYOUT ('Signal Chart')
+// ============================================
+// Plots each track by focusValue (x) and pulseValue (y, rising upward) and
+// returns axis, tick and quadrant guides for the guide renderer.
+import { LAYOUT } from '../constants.js';
+import { clamp01 } from '../utils.js';
+import { registerLayout } from './layout-base.js';
+
+function toPlot(value) {
+  const { PLOT_MIN, PLOT_MAX } = LAYOUT.FOCUS_PULSE;
+  return PLOT_MIN + clamp01(value) * (PLOT_MAX - PLOT_MIN);
+}
+
+function buildGuides() {
+  const { PLOT_MIN, PLOT_MAX, TICKS, QUADRANTS } = LAYOUT.FOCUS_PULSE;
+  const mid = toPlot(0.5);
+  const guides = [
+    { type: 'line', x1: PLOT_MIN, y1: PLOT_MAX, x2: PLOT_MAX, y2: PLOT_MAX, className: 'starmap-guide--axis' },
+    { type: 'line', x1: PLOT_MIN, y1: PLOT_MIN, x2: PLOT_MIN, y2: PLOT_MAX, className: 'starmap-guide--axis' },
+    { type: 'line', x1: mid, y1: PLOT_MIN, x2: mid, y2: PLOT_MAX, className: 'starmap-guide--divider' },
+    { type: 'line', x1: PLOT_MIN, y1: mid, x2: PLOT_MAX, y2: mid, className: 'starmap-guide--divider' },
+    { type: 'text', x: mid, y: PLOT_MAX + 0.08, text: 'Focus →', className: 'starmap-guide--title' },
+    { type: 'text', x: PLOT_MIN - 0.08, y: mid, text: 'Pulse →', rotate: -90, className: 'starmap-guide--title' },
+  ];
+
+  TICKS.forEach((tick) => {
+    const position = toPlot(tick);
+    const label = `${Math.round(tick * 100)}%`;
+    guides.push(
+      { type: 'line', x1: position, y1: PLOT_MAX, x2: position, y2: PLOT_MAX + 0.012, className: 'starmap-guide--tick' },
+      { type: 'text', x: position, y: PLOT_MAX + 0.04, text: label, className: 'starmap-guide--tick-label' },
+      { type: 'line', x1: PLOT_MIN - 0.012, y1: 1 - position, x2: PLOT_MIN, y2: 1 - position, className: 'starmap-guide--tick' },
+      { type: 'text', x: PLOT_MIN - 0.02, y: 1 - position + 0.006, text: label, anchor: 'end', className: 'starmap-guide--tick-label' }
+    );
+  });
+
+  const low = toPlot(0.25);
+  const high = toPlot(0.75);
+  guides.push(
+    { type: 'text', x: high, y: 1 - high, text: QUADRANTS.HIGH_FOCUS_HIGH_PULSE, className: 'starmap-guide--quadrant' },
+    { type: 'text', x: high, y: 1 - low, text: QUADRANTS.HIGH_FOCUS_LOW_PULSE, className: 'starmap-guide--quadrant' },
+    { type: 'text', x: low, y: 1 - high, text: QUADRANTS.LOW_FOCUS_HIGH_PULSE, className: 'starmap-guide--quadrant' },
+    { type: 'text', x: low, y: 1 - low, text: QUADRANTS.LOW_FOCUS_LOW_PULSE, className: 'starmap-guide--quadrant' }
+  );
+
+  return guides;
+}
+
+export function focusPulseLayout(tracks) {
+  const positions = {};
+
+  tracks.forEach((track) => {
+    const focus = Number.isFinite(track.focusValue) ? track.focusValue : 0.5;
+    const pulse = Number.isFinite(track.pulseValue) ? track.pulseValue : 0.5;
+
+    positions[track.id] = {
+      x: toPlot(focus),
+      y: 1 - toPlot(pulse),
+      altitude: 0.4 + pulse * 0.4,
+    };
+  });
+
+  return { positions, links: [], guides: buildGuides() };
+}
+
+registerLayout({
+  id: 'focus-pulse',
+  name: 'Signal Chart',
+  compute: focusPulseLayout,
+  // Positions are chart coordinates: neither rescaled nor nudged apart
+  options: { normalize: false, relax: false },
+});
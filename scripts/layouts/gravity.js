@@ -0,0 +1,114 @@
+// ============================================
+// GRAVITY LAYOUT (force-directed by similarity)
+// ============================================
+// Every pair of tracks is joined by a spring whose rest length shrinks as the
+// tracks grow more alike, so songs that belong together drift into clusters.
+// Start positions come from a seeded generator, so the result is stable.
+import { LAYOUT } from '../constants.js';
+import { pseudoRandom } from '../utils.js';
+import { registerLayout } from './layout-base.js';
+import { createSimilarityScorer } from './similarity.js';
+
+function strongestLinks(pairs, trackCount) {
+  const { MAX_LINK_DEGREE, MIN_LINK_SIMILARITY } = LAYOUT.GRAVITY;
+  const degree = new Map();
+  const links = [];
+
+  [...pairs]
+    .sort((a, b) => b.similarity - a.similarity)
+    .forEach(({ from, to, similarity }) => {
+      if (similarity < MIN_LINK_SIMILARITY) return;
+      if ((degree.get(from) ?? 0) >= MAX_LINK_DEGREE) return;
+      if ((degree.get(to) ?? 0) >= MAX_LINK_DEGREE) return;
+      if (links.length >= trackCount) return;
+
+      links.push([from, to, similarity]);
+      degree.set(from, (degree.get(from) ?? 0) + 1);
+      degree.set(to, (degree.get(to) ?? 0) + 1);
+    });
+
+  return links;
+}
+
+export function gravityLayout(tracks, options = {}) {
+  const positions = {};
+  if (!tracks.length) return { positions, links: [] };
+
+  const {
+    ITERATIONS,
+    MIN_DISTANCE,
+    DISTANCE_RANGE,
+    SPRING_STRENGTH,
+    CENTER_PULL,
+    INITIAL_STEP,
+    COOLING,
+  } = LAYOUT.GRAVITY;
+
+  const seed = Number.isFinite(options.seed) ? options.seed : LAYOUT.GRAVITY.SEED;
+  const score = createSimilarityScorer(tracks);
+  const bodies = tracks.map((track, idx) => {
+    const r = pseudoRandom(seed + idx);
+    return { track, x: 0.25 + r(0.5), y: 0.25 + r(0.5) };
+  });
+
+  const pairs = [];
+  for (let i = 0; i < bodies.length; i += 1) {
+    for (let j = i + 1; j < bodies.length; j += 1) {
+      const similarity = score(bodies[i].track, bodies[j].track);
+      pairs.push({
+        a: bodies[i],
+        b: bodies[j],
+        from: bodies[i].track.id,
+        to: bodies[j].track.id,
+        similarity,
+        restLength: MIN_DISTANCE + (1 - similarity) * DISTANCE_RANGE,
+      });
+    }
+  }
+
+  let step = INITIAL_STEP;
+  for (let iteration = 0; iteration < ITERATIONS; iteration += 1) {
+    bodies.forEach((body) => {
+      body.fx = (0.5 - body.x) * CENTER_PULL;
+      body.fy = (0.5 - body.y) * CENTER_PULL;
+    });
+
+    pairs.forEach(({ a, b, restLength }) => {
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const dist = Math.sqrt(dx * dx + dy * dy) || 1e-6;
+      const force = (dist - restLength) * SPRING_STRENGTH;
+      const fx = (dx / dist) * force;
+      const fy = (dy / dist) * force;
+      a.fx += fx;
+      a.fy += fy;
+      b.fx -= fx;
+      b.fy -= fy;
+    });
+
+    bodies.forEach((body) => {
+      body.x += body.fx * step;
+      body.y += body.fy * step;
+    });
+
+    step *= COOLING;
+  }
+
+  bodies.forEach(({ track, x, y }) => {
+    const pulse = Number.isFinite(track.pulseValue) ? track.pulseValue : 0.5;
+    positions[track.id] = {
+      x,
+      y,
+      altitude: 0.4 + pulse * 0.4,
+    };
+  });
+
+  return { positions, links: strongestLinks(pairs, tracks.length) };
+}
+
+registerLayout({
+  id: 'gravity',
+  name: 'Gravity',
+  compute: gravityLayout,
+  options: { seed: LAYOUT.GRAVITY.SEED },
+});
@@ -0,0 +1,54 @@
+// ============================================
+// HELIX LAYOUT ("Spiral Helix")
+// ============================================
+import { LAYOUT } from '../constants.js';
+import { clamp01 } from '../utils.js';
+import { registerLayout } from './layout-base.js';
+
+function sortByTrackNumber(tracks) {
+  return [...tracks].sort((a, b) => {
+    const aNum = Number.isFinite(a.trackNumber) ? a.trackNumber : Number.POSITIVE_INFINITY;
+    const bNum = Number.isFinite(b.trackNumber) ? b.trackNumber : Number.POSITIVE_INFINITY;
+    if (aNum === bNum) return tracks.indexOf(a) - tracks.indexOf(b);
+    return aNum - bNum;
+  });
+}
+
+export function helixLayout(tracks) {
+  const positions = {};
+  const links = [];
+
+  if (!tracks || tracks.length === 0) {
+    return { positions, links };
+  }
+
+  const { MIN_Y, Y_RANGE, BASE_RADIUS, PULSE_RADIUS_MULTIPLIER, ROTATIONS } = LAYOUT.HELIX;
+  const ordered = sortByTrackNumber(tracks);
+
+  ordered.forEach((track, idx) => {
+    const progress = ordered.length > 1 ? idx / (ordered.length - 1) : 0.5;
+    const pulse = Number.isFinite(track.pulseValue) ? track.pulseValue : 0.5;
+
+    // ROTATIONS counts half-turns of the strand from first to last track
+    const angle = progress * Math.PI * ROTATIONS;
+    const radius = BASE_RADIUS + pulse * PULSE_RADIUS_MULTIPLIER;
+
+    positions[track.id] = {
+      x: clamp01(0.5 + Math.cos(angle) * radius),
+      y: clamp01(MIN_Y + progress * Y_RANGE),
+      altitude: clamp01(0.4 + pulse * 0.4),
+      depth: clamp01(0.25 + ((Math.sin(angle) + 1) / 2) * 0.5),
+    };
+
+    if (idx > 0) links.push([ordered[idx - 1].id, track.id]);
+  });
+
+  return { positions, links };
+}
+
+registerLayout({
+  id: 'helix',
+  name: 'Spiral Helix',
+  compute: helixLayout,
+  options: { normalize: false },
+});
@@ -0,0 +1,24 @@
+// ============================================
+// LAYOUT INDEX
+// ============================================
+// Importing a layout module registers it. Import order is cycling order.
+import './constellation.js';
+import './helix.js';
+import './scatter.js';
+import './tempo-spiral.js';
+import './gravity.js';
+import './key-wheel.js';
+import './focus-pulse.js';
+
+export {
+  normalizePositions,
+  registerLayout,
+  getLayout,
+  applyLayoutOverrides,
+  getLayoutDefinition,
+  getLayoutIds,
+  getRegisteredLayouts,
+  getLayoutName,
+  getAdjacentLayoutId,
+} from './layout-base.js';
+export { relaxPositions } from './relaxation.js';
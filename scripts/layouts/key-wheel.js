@@ -0,0 +1,82 @@
+// ============================================
+// KEY WHEEL LAYOUT ("Circle of Fifths")
+// ============================================
+// Major keys ride the outer ring and minor keys the inner ring, each placed
+// at its circle-of-fifths slot. Modes follow their third (Dorian inside,
+// Lydian outside) and sit at their parent major's slot. Links join
+// harmonically compatible tracks: the same key, a fifth apart, or relative
+// major/minor.
+import { COLORS, LAYOUT } from '../constants.js';
+import { clamp01 } from '../utils.js';
+import { registerLayout } from './layout-base.js';
+import { getWheelIndex, isMinorKey } from './similarity.js';
+
+function areHarmonicNeighbors(a, b) {
+  if (a.slot === -1 || b.slot === -1) return false;
+  const size = COLORS.KEY_ORDER.length;
+  const steps = Math.abs(a.slot - b.slot) % size;
+  const distance = Math.min(steps, size - steps);
+
+  if (a.minor === b.minor) return distance <= 1;
+  return distance === 0;
+}
+
+export function keyWheelLayout(tracks) {
+  const positions = {};
+  const links = [];
+  if (!tracks.length) return { positions, links };
+
+  const { OUTER_RADIUS, INNER_RADIUS, START_ANGLE, SHARED_KEY_SPREAD } = LAYOUT.KEY_WHEEL;
+  const slotSize = (Math.PI * 2) / COLORS.KEY_ORDER.length;
+
+  const entries = [...tracks]
+    .sort((a, b) => (a.trackNumber ?? 0) - (b.trackNumber ?? 0))
+    .map((track) => ({
+      track,
+      slot: getWheelIndex(track.key),
+      minor: isMinorKey(track.key),
+    }));
+
+  // Group tracks sharing a ring slot so they can fan out around it
+  const groups = new Map();
+  entries.forEach((entry) => {
+    const groupKey = `${entry.minor ? 'min' : 'maj'}:${entry.slot}`;
+    if (!groups.has(groupKey)) groups.set(groupKey, []);
+    groups.get(groupKey).push(entry);
+  });
+
+  groups.forEach((group) => {
+    group.forEach((entry, idx) => {
+      const { track, slot, minor } = entry;
+      const spread = (idx - (group.length - 1) / 2) * SHARED_KEY_SPREAD;
+      // Unparseable keys collect at the centre of the wheel
+      const radius = slot === -1 ? 0 : minor ? INNER_RADIUS : OUTER_RADIUS;
+      const angle = START_ANGLE + slot * slotSize + spread;
+      const pulse = Number.isFinite(track.pulseValue) ? track.pulseValue : 0.5;
+
+      positions[track.id] = {
+        x: clamp01(0.5 + Math.cos(angle) * radius),
+        y: clamp01(0.5 + Math.sin(angle) * radius),
+        altitude: 0.4 + pulse * 0.4,
+        depth: minor ? 0.3 : 0.6,
+      };
+    });
+  });
+
+  for (let i = 0; i < entries.length; i += 1) {
+    for (let j = i + 1; j < entries.length; j += 1) {
+      if (areHarmonicNeighbors(entries[i], entries[j])) {
+        links.push([entries[i].track.id, entries[j].track.id]);
+      }
+    }
+  }
+
+  return { positions, links };
+}
+
+registerLayout({
+  id: 'key-wheel',
+  name: 'Circle of Fifths',
+  compute: keyWheelLayout,
+  options: { normalize: false },
+});
@@ -46,7 +46,116 @@ export function normalizePositions(sourcePositions) {
   return normalized;
 }
 
-export function getLayout(layoutId, tracks) {
-  // Dynamic imports would be better, but for now we'll handle this in main
-  return null;
+// ============================================
+// LAYOUT REGISTRY
+// ============================================
+// Layout modules register themselves here; the sidebar buttons, keyboard
+// cycling, mobile labels and swipe navigation are all derived from it.
+
+const layoutRegistry = new Map();
+
+export function registerLayout({ id, name, compute, options = {} }) {
+  if (!id || typeof compute !== 'function') {
+    throw new Error(`Invalid layout definition: ${id ?? 'unknown'}`);
+  }
+  if (layoutRegistry.has(id)) {
+    console.warn(`⚠️ Layout "${id}" already registered, replacing`);
+  }
+
+  layoutRegistry.set(id, {
+    id,
+    name: name || id,
+    compute,
+    options: { normalize: true, relax: true, ...options },
+  });
+}
+
+export function getLayoutDefinition(layoutId) {
+  return layoutRegistry.get(layoutId) ?? null;
+}
+
+export function getLayoutIds() {
+  return Array.from(layoutRegistry.keys());
+}
+
+export function getRegisteredLayouts() {
+  return Array.from(layoutRegistry.values());
+}
+
+export function getLayoutName(layoutId) {
+  return layoutRegistry.get(layoutId)?.name || 'Constellation';
+}
+
+export function getAdjacentLayoutId(layoutId, direction) {
+  const ids = getLayoutIds();
+  if (!ids.length) return null;
+  const currentIndex = ids.indexOf(layoutId);
+  const normalizedIndex = currentIndex === -1 ? 0 : currentIndex;
+  return ids[(normalizedIndex + direction + ids.length) % ids.length];
+}
+
+// ============================================
+// PER-ALBUM OVERRIDES
+// ============================================
+// album.json may carry a "layouts" block keyed by layout id:
+//   positions: { trackId: { x, y } }   pin a track to fixed coordinates
+//   offsets:   { trackId: { dx, dy } } nudge a computed position
+//   links:     [[fromId, toId], ...]   replace the computed links
+//   options:   { ... }                 passed through to the compute function
+// Pins and offsets are canvas fractions (0..1 across the star field) and go
+// on after the layout is normalized, so a pin lands where it says and the
+// other tracks keep their spread. Collision relaxation may still nudge them.
+// The whole block is also handed to the compute function for layout-specific
+// keys such as constellation patterns.
+
+export function applyLayoutOverrides(result, overrides) {
+  if (!overrides || typeof overrides !== 'object') return result;
+
+  const positions = { ...result.positions };
+
+  Object.entries(overrides.positions || {}).forEach(([trackId, point]) => {
+    if (!positions[trackId] || !point) return;
+    positions[trackId] = {
+      ...positions[trackId],
+      x: Number.isFinite(point.x) ? clamp01(point.x) : positions[trackId].x,
+      y: Number.isFinite(point.y) ? clamp01(point.y) : positions[trackId].y,
+    };
+  });
+
+  Object.entries(overrides.offsets || {}).forEach(([trackId, offset]) => {
+    if (!positions[trackId] || !offset) return;
+    positions[trackId] = {
+      ...positions[trackId],
+      x: clamp01(positions[trackId].x + (Number.isFinite(offset.dx) ? offset.dx : 0)),
+      y: clamp01(positions[trackId].y + (Number.isFinite(offset.dy) ? offset.dy : 0)),
+    };
+  });
+
+  const links = Array.isArray(overrides.links)
+    ? overrides.links.filter(
+        (link) => Array.isArray(link) && positions[link[0]] && positions[link[1]]
+      )
+    : result.links;
+
+  return { ...result, positions, links };
+}
+
+export function getLayout(layoutId, tracks, overrides = null) {
+  const definition = layoutRegistry.get(layoutId) ?? getRegisteredLayouts()[0];
+  if (!definition) {
+    return { positions: {}, links: [], normalize: false };
+  }
+
+  const options = { ...definition.options, ...(overrides?.options || {}) };
+  const result = definition.compute(tracks || [], options, overrides) || {};
+  const positions = result.positions || {};
+  return applyLayoutOverrides(
+    {
+      relax: options.relax,
+      ...result,
+      positions: options.normalize !== false ? normalizePositions(positions) : positions,
+      links: result.links || [],
+    },
+    overrides
+  );
 }
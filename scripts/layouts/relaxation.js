@@ -0,0 +1,144 @@
+// ============================================
+// COLLISION RELAXATION
+// ============================================
+// Post-layout pass that pushes overlapping halos and labels apart while a
+// weak spring keeps every node near the position its layout asked for.
+// No randomness is involved, so the same input always settles the same way.
+// Distances are measured over the area mapToCanvasX/Y() (link-renderer.js)
+// actually spreads positions across, so the spacing holds once drawn.
+import { CANVAS, RELAXATION } from '../constants.js';
+import { calculateNodeRadius } from '../node-renderer.js';
+
+function labelBox(item) {
+  const top = item.y + item.labelDy - RELAXATION.LABEL_HEIGHT * 0.8;
+  return {
+    left: item.x - item.labelWidth / 2,
+    right: item.x + item.labelWidth / 2,
+    top,
+    bottom: top + RELAXATION.LABEL_HEIGHT,
+  };
+}
+
+function nodeBox(item) {
+  return {
+    left: item.x - item.radius,
+    right: item.x + item.radius,
+    top: item.y - item.radius,
+    bottom: item.y + item.radius,
+  };
+}
+
+// Returns the smallest [dx, dy] that separates box b from box a, or null
+function boxSeparation(a, b) {
+  const overlapX = Math.min(a.right, b.right) - Math.max(a.left, b.left);
+  const overlapY = Math.min(a.bottom, b.bottom) - Math.max(a.top, b.top);
+  if (overlapX <= 0 || overlapY <= 0) return null;
+
+  if (overlapX < overlapY) {
+    const direction = (b.left + b.right) >= (a.left + a.right) ? 1 : -1;
+    return [overlapX * direction, 0];
+  }
+  const direction = (b.top + b.bottom) >= (a.top + a.bottom) ? 1 : -1;
+  return [0, overlapY * direction];
+}
+
+function pushApart(a, b, dx, dy) {
+  a.x -= dx / 2;
+  a.y -= dy / 2;
+  b.x += dx / 2;
+  b.y += dy / 2;
+}
+
+function separateNodes(a, b, pairIndex) {
+  let dx = b.x - a.x;
+  let dy = b.y - a.y;
+  let dist = Math.sqrt(dx * dx + dy * dy);
+  const minDist = a.radius + b.radius + RELAXATION.NODE_PADDING;
+  if (dist >= minDist) return false;
+
+  if (dist < 1e-6) {
+    const angle = pairIndex * RELAXATION.FALLBACK_ANGLE;
+    dx = Math.cos(angle);
+    dy = Math.sin(angle);
+    dist = 1;
+  }
+
+  const overlap = minDist - dist;
+  pushApart(a, b, (dx / dist) * overlap, (dy / dist) * overlap);
+  return true;
+}
+
+function separateBoxes(a, b, boxA, boxB) {
+  const separation = boxSeparation(boxA, boxB);
+  if (!separation) return false;
+  pushApart(a, b, separation[0], separation[1]);
+  return true;
+}
+
+export function relaxPositions(positions, tracks, { width, height, includeLabels = true } = {}) {
+  if (!positions || !tracks?.length || !width || !height) return positions;
+
+  const spanX = Math.max(width - CANVAS.OFFSET_LEFT, 1);
+  const spanY = Math.max(height - CANVAS.OFFSET_TOP, 1);
+
+  const items = tracks
+    .filter((track) => positions[track.id])
+    .map((track) => {
+      const pos = positions[track.id];
+      const nodeRadius = calculateNodeRadius(track);
+      return {
+        id: track.id,
+        x: pos.x * spanX,
+        y: pos.y * spanY,
+        anchorX: pos.x * spanX,
+        anchorY: pos.y * spanY,
+        radius: nodeRadius * RELAXATION.COLLISION_SCALE,
+        labelDy: nodeRadius + RELAXATION.LABEL_OFFSET,
+        labelWidth: String(track.title ?? '').length * RELAXATION.LABEL_CHAR_WIDTH,
+      };
+    });
+
+  for (let iteration = 0; iteration < RELAXATION.ITERATIONS; iteration += 1) {
+    items.forEach((item) => {
+      item.x += (item.anchorX - item.x) * RELAXATION.ANCHOR_STRENGTH;
+      item.y += (item.anchorY - item.y) * RELAXATION.ANCHOR_STRENGTH;
+    });
+
+    let moved = false;
+    let pairIndex = 0;
+
+    for (let i = 0; i < items.length; i += 1) {
+      for (let j = i + 1; j < items.length; j += 1) {
+        const a = items[i];
+        const b = items[j];
+        pairIndex += 1;
+
+        if (separateNodes(a, b, pairIndex)) moved = true;
+
+        if (includeLabels) {
+          if (separateBoxes(a, b, labelBox(a), labelBox(b))) moved = true;
+          if (separateBoxes(a, b, labelBox(a), nodeBox(b))) moved = true;
+          if (separateBoxes(a, b, nodeBox(a), labelBox(b))) moved = true;
+        }
+      }
+    }
+
+    items.forEach((item) => {
+      item.x = Math.min(spanX, Math.max(0, item.x));
+      item.y = Math.min(spanY, Math.max(0, item.y));
+    });
+
+    if (!moved) break;
+  }
+
+  const relaxed = { ...positions };
+  items.forEach((item) => {
+    relaxed[item.id] = {
+      ...positions[item.id],
+      x: item.x / spanX,
+      y: item.y / spanY,
+    };
+  });
+
+  return relaxed;
+}
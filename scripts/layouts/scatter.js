@@ -0,0 +1,54 @@
+// ============================================
+// SCATTER LAYOUT ("Lunar Drift")
+// ============================================
+import { LAYOUT } from '../constants.js';
+import { pseudoRandom } from '../utils.js';
+import { registerLayout } from './layout-base.js';
+
+export function scatterLayout(tracks) {
+  const positions = {};
+  const links = [];
+  const { SEED, MIN_X, X_RANGE, MIN_Y, Y_RANGE } = LAYOUT.SCATTER;
+
+  tracks.forEach((track, idx) => {
+    const r = pseudoRandom(SEED + idx);
+    const x = MIN_X + r(X_RANGE);
+    const y = MIN_Y + r(Y_RANGE);
+
+    positions[track.id] = {
+      x: x,
+      y: y,
+      altitude: 0.4 + track.pulseValue * 0.4,
+    };
+  });
+
+  const trackIds = Object.keys(positions);
+  trackIds.forEach((id) => {
+    const pos = positions[id];
+    const distances = trackIds
+      .filter(otherId => otherId !== id)
+      .map(otherId => {
+        const otherPos = positions[otherId];
+        const dx = pos.x - otherPos.x;
+        const dy = pos.y - otherPos.y;
+        return { id: otherId, dist: Math.sqrt(dx * dx + dy * dy) };
+      })
+      .sort((a, b) => a.dist - b.dist);
+
+    for (let i = 0; i < Math.min(2, distances.length); i++) {
+      const link = [id, distances[i].id];
+      const reverseExists = links.some(([a, b]) => a === distances[i].id && b === id);
+      if (!reverseExists) {
+        links.push(link);
+      }
+    }
+  });
+
+  return { positions, links };
+}
+
+registerLayout({
+  id: 'scatter',
+  name: 'Lunar Drift',
+  compute: scatterLayout,
+});
@@ -0,0 +1,54 @@
+// ============================================
+// MUSICAL SIMILARITY
+// ============================================
+// Scores how closely two tracks belong together, from 0 (unrelated) to 1.
+import { COLORS, LAYOUT } from '../constants.js';
+import { clamp01 } from '../utils.js';
+import { parseKey } from '../key-parser.js';
+
+// Steps around the circle of fifths, 0 (same root) to 6 (tritone)
+export function fifthsDistance(keyA, keyB) {
+  const rootA = parseKey(keyA)?.root;
+  const rootB = parseKey(keyB)?.root;
+  if (!rootA || !rootB) return null;
+  const a = COLORS.KEY_ORDER.indexOf(rootA);
+  const b = COLORS.KEY_ORDER.indexOf(rootB);
+  const steps = Math.abs(a - b) % COLORS.KEY_ORDER.length;
+  return Math.min(steps, COLORS.KEY_ORDER.length - steps);
+}
+
+// Minor, Dorian, Phrygian and Locrian keys
+export function isMinorKey(key) {
+  return Boolean(parseKey(key)?.isMinor);
+}
+
+// Slot on the circle of fifths, with minor keys and modes sharing their
+// parent major's slot (A Min and D Dorian sit with C Maj). Returns -1 for
+// unparseable keys.
+export function getWheelIndex(key) {
+  const parsed = parseKey(key);
+  return parsed ? COLORS.KEY_ORDER.indexOf(parsed.parentRoot) : -1;
+}
+
+function valueSimilarity(a, b, range = 1) {
+  if (!Number.isFinite(a) || !Number.isFinite(b) || range <= 0) return 0.5;
+  return clamp01(1 - Math.abs(a - b) / range);
+}
+
+export function createSimilarityScorer(tracks) {
+  const { WEIGHTS } = LAYOUT.GRAVITY;
+  const bpms = tracks.map((track) => track.bpm).filter(Number.isFinite);
+  const bpmRange = bpms.length ? Math.max(...bpms) - Math.min(...bpms) || 1 : 1;
+
+  return (a, b) => {
+    const steps = fifthsDistance(a.key, b.key);
+    const keyScore = steps == null ? 0.5 : 1 - steps / 6;
+
+    return (
+      WEIGHTS.BPM * valueSimilarity(a.bpm, b.bpm, bpmRange) +
+      WEIGHTS.KEY * keyScore +
+      WEIGHTS.FOCUS * valueSimilarity(a.focusValue, b.focusValue) +
+      WEIGHTS.PULSE * valueSimilarity(a.pulseValue, b.pulseValue)
+    );
+  };
+}
@@ -0,0 +1,62 @@
+// ============================================
+// TEMPO SPIRAL LAYOUT ("Tempo Ascendant")
+// ============================================
+import { LAYOUT } from '../constants.js';
+import { clamp01 } from '../utils.js';
+import { registerLayout } from './layout-base.js';
+
+export function tempoSpiralLayout(tracks) {
+  const positions = {};
+  const links = [];
+  if (!tracks.length) return { positions, links };
+
+  const { START_RADIUS, RADIUS_GROWTH, TOTAL_ROTATIONS } = LAYOUT.TEMPO_SPIRAL;
+
+  const sorted = [...tracks].sort((a, b) => {
+    const bpmA = Number.isFinite(a.bpm) ? a.bpm : 0;
+    const bpmB = Number.isFinite(b.bpm) ? b.bpm : 0;
+    if (bpmA !== bpmB) return bpmA - bpmB;
+    return (a.trackNumber ?? 0) - (b.trackNumber ?? 0);
+  });
+
+  const minBpm = sorted.reduce(
+    (min, track) => (Number.isFinite(track.bpm) ? Math.min(min, track.bpm) : min),
+    Number.POSITIVE_INFINITY
+  );
+  const maxBpm = sorted.reduce(
+    (max, track) => (Number.isFinite(track.bpm) ? Math.max(max, track.bpm) : max),
+    Number.NEGATIVE_INFINITY
+  );
+  const bpmRange = maxBpm - minBpm || 1;
+
+  sorted.forEach((track, idx) => {
+    const progress = idx / Math.max(1, sorted.length - 1);
+    const relativeBpm = Number.isFinite(track.bpm)
+      ? (track.bpm - minBpm) / bpmRange
+      : progress;
+
+    const angle = progress * Math.PI * 2 * TOTAL_ROTATIONS;
+    const radius = START_RADIUS + (progress * RADIUS_GROWTH * TOTAL_ROTATIONS);
+
+    const x = clamp01(0.5 + Math.cos(angle) * radius);
+    const y = clamp01(0.5 + Math.sin(angle) * radius);
+
+    positions[track.id] = {
+      x,
+      y,
+      altitude: 0.35 + relativeBpm * 0.5,
+      depth: 0.3 + relativeBpm * 0.4,
+      rotation: (angle * 180) / Math.PI,
+    };
+
+    if (idx > 0) links.push([sorted[idx - 1].id, track.id]);
+  });
+
+  return { positions, links };
+}
+
+registerLayout({
+  id: 'tempo-spiral',
+  name: 'Tempo Ascendant',
+  compute: tempoSpiralLayout,
+});
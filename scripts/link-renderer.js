@@ -17,6 +17,16 @@ export function mapToCanvasY(value, height) {
   return CANVAS.OFFSET_TOP + (effectiveHeight - CANVAS.OFFSET_TOP) * clamp01(value);
 }
 
+export function mapFromCanvasX(x, width) {
+  const effectiveWidth = Math.max(width, CANVAS.OFFSET_LEFT + 1);
+  return clamp01((x - CANVAS.OFFSET_LEFT) / (effectiveWidth - CANVAS.OFFSET_LEFT));
+}
+
+export function mapFromCanvasY(y, height) {
+  const effectiveHeight = Math.max(height, CANVAS.OFFSET_TOP + 1);
+  return clamp01((y - CANVAS.OFFSET_TOP) / (effectiveHeight - CANVAS.OFFSET_TOP));
+}
+
 export function createLink(fromId, toId) {
   const line = createSVGElement("line");
   line.classList.add("starmap-link");
@@ -122,7 +132,7 @@ export function renderLinks(links) {
 
   if (!links || links.length === 0) return;
 
-  links.forEach(([fromId, toId], index) => {
+  links.forEach(([fromId, toId, strength], index) => {
     const fromNode = state.nodes.get(fromId);
     const toNode = state.nodes.get(toId);
 
@@ -130,6 +140,12 @@ export function renderLinks(links) {
 
     const line = createLink(fromId, toId);
 
+    // Optional third tuple entry weights the stroke (0-1)
+    if (Number.isFinite(strength)) {
+      line.dataset.strength = strength.toFixed(3);
+      line.style.setProperty("--link-strength", clamp01(strength).toFixed(3));
+    }
+
     const baseDelay = index * ANIMATION.LINK_APPEARANCE_DELAY + 200;
     line.dataset.appearanceDelay = String(baseDelay);
     line.style.opacity = "0";
@@ -155,7 +171,7 @@ export function revealLinks(delayMs = 0) {
   });
 }
 
-export function highlightActiveLinks(activeId) {
+export function highlightActiveLinks(activeId, nextId = null) {
   if (!DOM.linkLayer) return;
 
   const lines = DOM.linkLayer.querySelectorAll(".starmap-link");
@@ -163,8 +179,12 @@ export function highlightActiveLinks(activeId) {
   lines.forEach((line) => {
     const fromId = line.dataset.from;
     const toId = line.dataset.to;
-    const isActive = activeId && (fromId === activeId || toId === activeId);
+    const isActive = Boolean(activeId && (fromId === activeId || toId === activeId));
+    const isNext = Boolean(
+      isActive && nextId && nextId !== activeId && (fromId === nextId || toId === nextId)
+    );
     line.classList.toggle("is-active", isActive);
+    line.classList.toggle("is-next", isNext);
   });
 }
 
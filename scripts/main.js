@@ -3,17 +3,18 @@
 // ============================================
 // Integrates refactored modules with gradual migration plan
 
-import { CANVAS, ANIMATION, LAYOUT } from './constants.js';
+import { CANVAS, ANIMATION, AUDIO, AUDIO_REACTIVE } from './constants.js';
 import {
   clamp01,
   debounce,
   formatTime,
-  normalizeSoundUrl,
   ensureGradientDefs,
   createSVGElement,
   showUserError,
 } from './utils.js';
 import { validateAlbum, sanitizeTrack } from './validation.js';
+import { parseKey } from './key-parser.js';
+import { getSchemaVersion, migrateAlbum } from './album-migrations.js';
 import {
   DOM,
   state,
@@ -29,13 +30,18 @@ import {
 import {
   initMobileTracklist,
   updatePlayingCard,
-  getLayoutName,
 } from './mobile-tracklist.js';
 import {
   SoundCloudPlayer,
+  SOUNDCLOUD_ERRORS,
+  SOUNDCLOUD_STATES,
   createWidgetSrc,
   waitForSoundCloudAPI,
 } from './soundcloud-player.js';
+import { AudioElementPlayer } from './audio-element-player.js';
+import { installFakeSoundCloud, isFakeSoundCloudRequested } from './fake-soundcloud.js';
+import { MultiSourcePlayer, PLAYER_BACKENDS, getTrackSource } from './player.js';
+import { createMediaSessionController } from './media-session.js';
 import { createNode, cleanupAllNodes } from './node-renderer.js';
 import {
   renderLinks,
@@ -43,295 +49,39 @@ import {
   cancelPendingLinkUpdates,
   updateAllLinkPositions,
   revealLinks,
+  highlightActiveLinks,
+  clearLinks,
   mapToCanvasX,
   mapToCanvasY,
 } from './link-renderer.js';
-import { normalizePositions } from './layouts/layout-base.js';
-import { createStarfieldController } from './starfield.js';
-
-// ============================================
-// LAYOUT ALGORITHMS
-// ============================================
-
-function constellationLayout(tracks) {
-  const { OFFSET_X, OFFSET_Y, SCALE, CENTER_X, CENTER_Y } = LAYOUT.CONSTELLATION;
-
-  const patterns = [
-    {
-      name: "Andromeda",
-      points: [
-        { x: CENTER_X + (0.18 - CENTER_X) * SCALE + OFFSET_X, y: CENTER_Y + (0.22 - CENTER_Y) * SCALE + OFFSET_Y },
-        { x: CENTER_X + (0.26 - CENTER_X) * SCALE + OFFSET_X, y: CENTER_Y + (0.3 - CENTER_Y) * SCALE + OFFSET_Y },
-        { x: CENTER_X + (0.34 - CENTER_X) * SCALE + OFFSET_X, y: CENTER_Y + (0.38 - CENTER_Y) * SCALE + OFFSET_Y },
-        { x: CENTER_X + (0.46 - CENTER_X) * SCALE + OFFSET_X, y: CENTER_Y + (0.32 - CENTER_Y) * SCALE + OFFSET_Y },
-      ],
-      links: [[0, 1], [1, 2], [2, 3]],
-    },
-    {
-      name: "Lyra",
-      points: [
-        { x: CENTER_X + (0.62 - CENTER_X) * SCALE + OFFSET_X, y: CENTER_Y + (0.24 - CENTER_Y) * SCALE + OFFSET_Y },
-        { x: CENTER_X + (0.7 - CENTER_X) * SCALE + OFFSET_X, y: CENTER_Y + (0.18 - CENTER_Y) * SCALE + OFFSET_Y },
-        { x: CENTER_X + (0.78 - CENTER_X) * SCALE + OFFSET_X, y: CENTER_Y + (0.28 - CENTER_Y) * SCALE + OFFSET_Y },
-        { x: CENTER_X + (0.68 - CENTER_X) * SCALE + OFFSET_X, y: CENTER_Y + (0.36 - CENTER_Y) * SCALE + OFFSET_Y },
-      ],
-      links: [[0, 1], [1, 2], [2, 3], [3, 0]],
-    },
-    {
-      name: "Pisces",
-      points: [
-        { x: CENTER_X + (0.28 - CENTER_X) * SCALE + OFFSET_X, y: CENTER_Y + (0.72 - CENTER_Y) * SCALE + OFFSET_Y },
-        { x: CENTER_X + (0.36 - CENTER_X) * SCALE + OFFSET_X, y: CENTER_Y + (0.62 - CENTER_Y) * SCALE + OFFSET_Y },
-        { x: CENTER_X + (0.44 - CENTER_X) * SCALE + OFFSET_X, y: CENTER_Y + (0.7 - CENTER_Y) * SCALE + OFFSET_Y },
-      ],
-      links: [[0, 1], [1, 2]],
-    },
-    {
-      name: "Orion",
-      points: [
-        { x: CENTER_X + (0.58 - CENTER_X) * SCALE + OFFSET_X, y: CENTER_Y + (0.68 - CENTER_Y) * SCALE + OFFSET_Y },
-        { x: CENTER_X + (0.66 - CENTER_X) * SCALE + OFFSET_X, y: CENTER_Y + (0.62 - CENTER_Y) * SCALE + OFFSET_Y },
-        { x: CENTER_X + (0.74 - CENTER_X) * SCALE + OFFSET_X, y: CENTER_Y + (0.72 - CENTER_Y) * SCALE + OFFSET_Y },
-      ],
-      links: [[0, 1], [1, 2]],
-    },
-  ];
-
-  const positions = {};
-  const links = [];
-  let trackIndex = 0;
-
-  patterns.forEach((pattern) => {
-    const assignedIds = [];
-    pattern.points.forEach((point) => {
-      if (trackIndex >= tracks.length) return;
-      const track = tracks[trackIndex];
-      positions[track.id] = {
-        x: point.x,
-        y: point.y,
-        altitude: 0.4 + track.pulseValue * 0.5,
-      };
-      assignedIds.push(track.id);
-      trackIndex += 1;
-    });
-    pattern.assignedIds = assignedIds;
-  });
-
-  const leftovers = tracks.slice(trackIndex);
-  leftovers.forEach((track, idx) => {
-    const spread = leftovers.length > 1 ? idx / (leftovers.length - 1) : 0.5;
-    positions[track.id] = {
-      x: 0.24 + OFFSET_X + spread * 0.52,
-      y: 0.78 + OFFSET_Y - 0.05 * (idx % 3),
-      altitude: 0.35 + track.pulseValue * 0.4,
-    };
-  });
-
-  patterns.forEach((pattern) => {
-    pattern.links.forEach(([fromOffset, toOffset]) => {
-      const fromId = pattern.assignedIds?.[fromOffset];
-      const toId = pattern.assignedIds?.[toOffset];
-      if (fromId && toId) {
-        links.push([fromId, toId]);
-      }
-    });
-  });
-
-  return { positions, links, normalize: false };
-}
-
-function helixLayout(tracks) {
-  const positions = {};
-  const links = [];
-
-  if (!tracks || tracks.length === 0) {
-    return { positions, links };
-  }
-
-  const presetPositions = {
-    "kopfkino": { x: 0.82, y: 0.14 },
-    "green-light": { x: 0.64, y: 0.26 },
-    "think-thrice": { x: 0.28, y: 0.12 },
-    "cherry-tree": { x: 0.32, y: 0.38 },
-    "reverie": { x: 0.56, y: 0.5 },
-    "hold-on": { x: 0.74, y: 0.47 },
-    "meteor": { x: 0.3, y: 0.7 },
-    "diamonds": { x: 0.48, y: 0.8 },
-    "pendant": { x: 0.54, y: 0.64 },
-    "hinterland": { x: 0.76, y: 0.7 },
-    "au-revoir": { x: 0.62, y: 0.9 },
-  };
-
-  const defaultPosition = { x: 0.5, y: 0.5 };
-
-  tracks.forEach((track) => {
-    const preset = presetPositions[track.id] ?? defaultPosition;
-    const altitude = clamp01(0.4 + (track.pulseValue ?? 0.5) * 0.4);
-    const depth = clamp01(0.25 + (1 - preset.y) * 0.5);
-
-    positions[track.id] = {
-      x: clamp01(preset.x),
-      y: clamp01(preset.y),
-      altitude,
-      depth,
-    };
-  });
-
-  const helixOrder = [
-    "kopfkino",
-    "green-light",
-    "think-thrice",
-    "cherry-tree",
-    "meteor",
-    "diamonds",
-    "pendant",
-    "reverie",
-    "hold-on",
-    "hinterland",
-    "au-revoir",
-  ].filter((id) => positions[id]);
-
-  helixOrder.forEach((trackId, index) => {
-    if (index === 0) return;
-    links.push([helixOrder[index - 1], trackId]);
-  });
-
-  return { positions, links, normalize: false };
-}
-
-function scatterLayout(tracks) {
-  const positions = {};
-  const links = [];
-  const { SEED, MIN_X, X_RANGE, MIN_Y, Y_RANGE } = LAYOUT.SCATTER;
-
-  const pseudoRandom = (seed) => {
-    let value = Math.sin(seed) * 10000;
-    return (range = 1) => {
-      value = Math.sin(value) * 10000;
-      return (value - Math.floor(value)) * range;
-    };
-  };
-
-  tracks.forEach((track, idx) => {
-    const r = pseudoRandom(SEED + idx);
-    let x = MIN_X + r(X_RANGE);
-    let y = MIN_Y + r(Y_RANGE);
-
-    if (track.id === "au-revoir") y += 0.15;
-
-    positions[track.id] = {
-      x: x,
-      y: y,
-      altitude: 0.4 + track.pulseValue * 0.4,
-    };
-  });
-
-  const trackIds = Object.keys(positions);
-  trackIds.forEach((id) => {
-    const pos = positions[id];
-    const distances = trackIds
-      .filter(otherId => otherId !== id)
-      .map(otherId => {
-        const otherPos = positions[otherId];
-        const dx = pos.x - otherPos.x;
-        const dy = pos.y - otherPos.y;
-        return { id: otherId, dist: Math.sqrt(dx * dx + dy * dy) };
-      })
-      .sort((a, b) => a.dist - b.dist);
-
-    for (let i = 0; i < Math.min(2, distances.length); i++) {
-      const link = [id, distances[i].id];
-      const reverseExists = links.some(([a, b]) => a === distances[i].id && b === id);
-      if (!reverseExists) {
-        links.push(link);
-      }
-    }
-  });
-
-  return { positions, links };
-}
-
-function tempoSpiralLayout(tracks) {
-  const positions = {};
-  const links = [];
-  if (!tracks.length) return { positions, links };
-
-  const { START_RADIUS, RADIUS_GROWTH, TOTAL_ROTATIONS } = LAYOUT.TEMPO_SPIRAL;
-
-  const sorted = [...tracks].sort((a, b) => {
-    const bpmA = Number.isFinite(a.bpm) ? a.bpm : 0;
-    const bpmB = Number.isFinite(b.bpm) ? b.bpm : 0;
-    return bpmA - bpmB;
-  });
-
-  const minBpm = sorted.reduce(
-    (min, track) => (Number.isFinite(track.bpm) ? Math.min(min, track.bpm) : min),
-    Number.POSITIVE_INFINITY
-  );
-  const maxBpm = sorted.reduce(
-    (max, track) => (Number.isFinite(track.bpm) ? Math.max(max, track.bpm) : max),
-    Number.NEGATIVE_INFINITY
-  );
-  const bpmRange = maxBpm - minBpm || 1;
-
-  sorted.forEach((track, idx) => {
-    const progress = idx / Math.max(1, sorted.length - 1);
-    const relativeBpm = Number.isFinite(track.bpm)
-      ? (track.bpm - minBpm) / bpmRange
-      : progress;
-
-    const angle = progress * Math.PI * 2 * TOTAL_ROTATIONS;
-    const radius = START_RADIUS + (progress * RADIUS_GROWTH * TOTAL_ROTATIONS);
-
-    const x = clamp01(0.5 + Math.cos(angle) * radius);
-    const y = clamp01(0.5 + Math.sin(angle) * radius);
-
-    positions[track.id] = {
-      x,
-      y,
-      altitude: 0.35 + relativeBpm * 0.5,
-      depth: 0.3 + relativeBpm * 0.4,
-      rotation: (angle * 180) / Math.PI,
-    };
-
-    if (idx > 0) links.push([sorted[idx - 1].id, track.id]);
-  });
-
-  const manualAdjustments = {
-    pendant: { dx: 0.055, dy: 0 },
-    meteor: { dx: 0, dy: 0.055 },
-    diamonds: { dx: -0.06, dy: 0 },
-    "cherry-tree": { dx: -0.05, dy: 0 },
-  };
-
-  Object.entries(manualAdjustments).forEach(([trackId, { dx, dy }]) => {
-    const coords = positions[trackId];
-    if (!coords) return;
-    const adjustedX = clamp01(coords.x + dx);
-    const adjustedY = clamp01(coords.y + (dy ?? 0));
-    positions[trackId] = {
-      ...coords,
-      x: adjustedX,
-      y: adjustedY,
-    };
-  });
-
-  return { positions, links };
-}
-
-function getLayout(layoutId, tracks) {
-  switch (layoutId) {
-    case "helix":
-      return helixLayout(tracks);
-    case "scatter":
-      return scatterLayout(tracks);
-    case "tempo-spiral":
-      return tempoSpiralLayout(tracks);
-    case "constellations":
-    default:
-      return constellationLayout(tracks);
-  }
-}
+import {
+  getLayout,
+  getLayoutName,
+  getLayoutDefinition,
+  getRegisteredLayouts,
+  getAdjacentLayoutId,
+  relaxPositions,
+} from './layouts/index.js';
+import { renderGuides, clearGuides } from './guide-renderer.js';
+import { loadCatalog, getCatalogEntry, hasCatalogEntry } from './catalog.js';
+import { createConstellationEditor, isEditModeRequested } from './constellation-editor.js';
+import { createValidationOverlay, isValidationOverlayRequested } from './validation-overlay.js';
+import { readUrlState, writeUrlState, onUrlStateChange } from './url-state.js';
+import {
+  cycleRepeatMode,
+  createShuffleOrder,
+  getAdjacentTrackId,
+} from './playback-queue.js';
+import { createStarfieldController, prefersReducedMotion } from './starfield.js';
+import { createAudioReactiveController, LEVEL_SOURCES } from './audio-reactive.js';
+import { createBeatClock, createBeatPulseRenderer } from './beat-clock.js';
+import { createWaveformController } from './waveform.js';
+import {
+  loadPlayerPreferences,
+  savePlayerPreferences,
+  getNextPlaybackRate,
+  getNextCrossfade,
+} from './player-preferences.js';
 
 // ============================================
 // INITIALIZATION
@@ -351,6 +101,21 @@ let mobileMediaHandler = null;
 let touchStartX = 0;
 let touchStartY = 0;
 let isTouching = false;
+let removeUrlStateListener = null;
+let isRestoringUrlState = false;
+let soundCloudUnavailable = false;
+let mediaSession = null;
+let audioReactive = null;
+let beatClock = null;
+let beatPulse = null;
+let waveform = null;
+let isScrubbing = false;
+let knownDuration = 0;
+let sliderSeconds = { position: -1, duration: -1 };
+let haloPulseGroup = null;
+let crossfadeTimer = null;
+let isSwitchingAlbum = false;
+let loadingTrackId = null;
 
 async function init() {
   console.log("🚀 Starmap Initializing (Modular)...");
@@ -400,6 +165,10 @@ async function init() {
       console.log('📐 SVG initialized:', DOM.starmapSvg.getAttribute('viewBox'));
     }
 
+    DOM.guideLayer = createSVGElement("g");
+    DOM.guideLayer.classList.add("guides-layer");
+    DOM.starmapSvg.appendChild(DOM.guideLayer);
+
     DOM.linkLayer = createSVGElement("g");
     DOM.linkLayer.classList.add("links-layer");
     DOM.starmapSvg.appendChild(DOM.linkLayer);
@@ -411,6 +180,7 @@ async function init() {
     DOM.gradientDefs = ensureGradientDefs(DOM.starmapSvg);
 
     console.log('📊 SVG layers created:', {
+      guideLayer: !!DOM.guideLayer,
       linkLayer: !!DOM.linkLayer,
       nodeLayer: !!DOM.nodeLayer,
       gradientDefs: !!DOM.gradientDefs
@@ -418,10 +188,31 @@ async function init() {
 
     setupKeyboardNavigation();
     setupMobileSupport();
+    waveform = createWaveformController(DOM.progressBar);
 
-    await loadAlbum();
+    if (isValidationOverlayRequested()) {
+      state.validationOverlay = createValidationOverlay({ onSelectTrack: inspectTrack });
+    }
+
+    state.catalog = await loadCatalog();
+    const urlState = readUrlState();
+    await loadAlbum(getCatalogEntry(state.catalog, urlState.albumId), urlState);
+    setupAlbumSwitcher();
     setupLayoutControls();
+    setupQueueControls();
     setupModals();
+
+    if (isEditModeRequested()) {
+      state.editor = createConstellationEditor();
+    }
+
+    removeUrlStateListener = onUrlStateChange(handleUrlStateChange);
+
+    if (isFakeSoundCloudRequested()) {
+      installFakeSoundCloud();
+      console.log("🧪 Using the offline SoundCloud stand-in");
+    }
+
     await setupAudioPlayer();
 
     console.log("✅ Starmap initialized successfully");
@@ -435,37 +226,55 @@ async function init() {
 // ALBUM LOADING
 // ============================================
 
-async function loadAlbum() {
+// `target` picks the layout, track and position to open with; it defaults
+// to the URL on first load
+async function loadAlbum(entry, target = readUrlState()) {
   try {
-    const response = await fetch("data/album.json");
+    const response = await fetch(entry.url);
 
     if (!response.ok) {
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
     }
 
-    const album = await response.json();
-    const errors = validateAlbum(album);
-    if (errors.length > 0) {
-      console.warn("⚠️ Album validation issues:", errors);
+    const source = await response.json();
+    const album = migrateAlbum(source);
+    if (album !== source) {
+      console.log(`🔧 Album migrated from schema v${getSchemaVersion(source)} to v${getSchemaVersion(album)}`);
     }
+    const errors = validateAlbum(album);
 
     album.tracks = album.tracks.map(sanitizeTrack);
+    setAlbum(album);
+    state.albumId = entry.id;
+    updateBrand(album, entry);
+
+    if (target.layout && getLayoutDefinition(target.layout)) {
+      state.layout = target.layout;
+    }
 
+    const orderedTracks = state.trackOrder.map((id) => album.tracks.find((track) => track.id === id));
     const defaultTrack =
-      album.tracks.find((track) => track.id === "kopfkino") ??
-      album.tracks.find((track) => normalizeSoundUrl(track.soundcloudId)) ??
+      album.tracks.find((track) => track.id === target.trackId) ??
+      orderedTracks.find((track) => getTrackSource(track)) ??
       album.tracks[0];
 
     if (!defaultTrack) {
       throw new Error("No valid tracks found in album");
     }
 
-    setAlbum(album);
-    await initializeSoundCloudEmbed(defaultTrack);
+    if (defaultTrack.id === target.trackId && Number.isFinite(target.time)) {
+      state.pendingSeek = target.time * 1000;
+    }
+    prepareInitialTrack(defaultTrack);
     renderAllNodes(album.tracks);
+    state.validationOverlay?.update(errors, album.tracks);
     applyLayout(state.layout);
     setInitialTrack(defaultTrack);
 
+    if (state.pendingSeek != null && DOM.currentTimeEl) {
+      DOM.currentTimeEl.textContent = formatTime(state.pendingSeek / 1000);
+    }
+
     // Initialize mobile radio station if on mobile
     if (state.isMobile) {
       const activeId = state.playingId ?? state.defaultTrackId;
@@ -485,6 +294,96 @@ async function loadAlbum() {
 // NODE RENDERING
 // ============================================
 
+function updateBrand(album, entry) {
+  const band = album.band || entry.band || "";
+  const title = album.album || entry.title || "";
+
+  if (DOM.brandBandEl) DOM.brandBandEl.textContent = band;
+  if (DOM.brandAlbumEl) DOM.brandAlbumEl.textContent = title;
+  document.title = [band, title].filter(Boolean).join(" — ");
+}
+
+// ============================================
+// ALBUM SWITCHER
+// ============================================
+
+function renderAlbumSwitcher() {
+  if (!DOM.albumSwitcher || !DOM.albumSelect) return;
+
+  const albums = state.catalog?.albums ?? [];
+  DOM.albumSwitcher.hidden = albums.length < 2;
+  DOM.albumSelect.textContent = "";
+
+  albums.forEach(({ id, title, band }) => {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = [title || id, band].filter(Boolean).join(" — ");
+    DOM.albumSelect.appendChild(option);
+  });
+
+  DOM.albumSelect.value = state.albumId ?? "";
+}
+
+function setupAlbumSwitcher() {
+  renderAlbumSwitcher();
+  DOM.albumSelect?.addEventListener("change", (event) => {
+    switchAlbum(event.target.value, { updateUrl: true });
+  });
+}
+
+// Release everything tied to the current record: playback, nodes (and their
+// listeners), links, guides, gradients and cached peaks
+function teardownAlbum() {
+  player?.pause().catch(() => {});
+  beatClock?.pause();
+  syncAudioReactive(false);
+  setPlayingState(null, false);
+  setActiveNode(null);
+  DOM.customPlayer?.classList.remove("is-playing");
+
+  state.pendingTrack = null;
+  state.pendingSeek = null;
+  state.currentTrackUrl = null;
+  resetProgressUI();
+
+  cleanupAllNodes();
+  clearLinks();
+  clearGuides();
+  if (DOM.gradientDefs) {
+    DOM.gradientDefs.textContent = "";
+  }
+
+  // The next album's nodes start hidden and fade in like the first album's
+  state.hasLoadedOnce = false;
+
+  // Peaks are cached by track id, which may repeat across albums
+  waveform?.destroy();
+  waveform = createWaveformController(DOM.progressBar);
+}
+
+async function switchAlbum(albumId, { updateUrl = false, target = {} } = {}) {
+  if (isSwitchingAlbum || albumId === state.albumId || !hasCatalogEntry(state.catalog, albumId)) {
+    renderAlbumSwitcher();
+    return;
+  }
+
+  isSwitchingAlbum = true;
+  console.log(`💿 Switching album: ${state.albumId} → ${albumId}`);
+
+  try {
+    teardownAlbum();
+    await loadAlbum(getCatalogEntry(state.catalog, albumId), { layout: state.layout, ...target });
+    await loadPendingTrack();
+    state.editor?.refresh();
+    if (updateUrl) syncUrlState();
+  } catch (error) {
+    console.error("❌ Failed to switch album:", error);
+  } finally {
+    isSwitchingAlbum = false;
+    renderAlbumSwitcher();
+  }
+}
+
 function renderAllNodes(tracks) {
   if (!DOM.nodeLayer || !DOM.gradientDefs) return;
 
@@ -522,22 +421,24 @@ function applyLayout(layoutId) {
   setActiveLayoutButton(layoutId);
 
   const { tracks } = state.album;
-  const layout = getLayout(layoutId, tracks);
-
-  const shouldNormalize =
-    layout && Object.prototype.hasOwnProperty.call(layout, "normalize")
-      ? layout.normalize !== false
-      : true;
+  const layout = getLayout(layoutId, tracks, state.album.layouts?.[layoutId]);
 
-  const positions = shouldNormalize
-    ? normalizePositions(layout.positions)
-    : layout.positions || {};
+  const bounds = getCachedBounds();
+  const positions = layout.relax !== false && bounds
+    ? relaxPositions(layout.positions, tracks, {
+        width: bounds.width,
+        height: bounds.height,
+        includeLabels: !state.isMobile,
+      })
+    : layout.positions;
 
   state.positions = positions;
+  state.links = layout.links || [];
 
-  renderLinks(layout.links || []);
+  renderLinks(state.links);
+  highlightActiveLinks(state.playingId, getUpNextId());
+  renderGuides(layout.guides || [], positions);
 
-  const bounds = getCachedBounds();
   if (!bounds) {
     console.warn('⚠️ No canvas bounds available');
     return;
@@ -680,6 +581,8 @@ function applyLayout(layoutId) {
     }
   }
 
+  state.editor?.refresh();
+
   console.log("✅ Applied layout:", layoutId, `(${positionedCount}/${tracks.length} nodes positioned)`);
 
   // Update mobile radio station with new layout name
@@ -696,61 +599,143 @@ function setActiveLayoutButton(layoutId) {
   updateMobileLayoutLabel();
 }
 
+function renderLayoutButtons() {
+  if (!DOM.layoutControls) return;
+
+  DOM.layoutControls.textContent = "";
+  DOM.layoutButtons = getRegisteredLayouts().map(({ id, name }) => {
+    const button = document.createElement("button");
+    button.className = "layout-button";
+    button.type = "button";
+    button.dataset.layout = id;
+    button.textContent = name;
+    DOM.layoutControls.appendChild(button);
+    return button;
+  });
+}
+
 function setupLayoutControls() {
+  renderLayoutButtons();
+  setActiveLayoutButton(state.layout);
+
   DOM.layoutButtons.forEach((button) => {
     button.addEventListener("click", () => {
       const targetLayout = button.dataset.layout;
       if (!targetLayout || targetLayout === state.layout) return;
       applyLayout(targetLayout);
+      syncUrlState();
     });
   });
 }
 
 // ============================================
-// SOUNDCLOUD INITIALIZATION
+// AUDIO PLAYER INITIALIZATION
 // ============================================
 
-async function initializeSoundCloudEmbed(track) {
-  if (!track) return;
-  const normalized = normalizeSoundUrl(track.soundcloudId);
-  if (!normalized) return;
+function prepareInitialTrack(track) {
+  const source = getTrackSource(track);
+  if (!source) return;
 
-  if (DOM.scWidget) {
-    DOM.scWidget.setAttribute("src", createWidgetSrc(normalized, false));
+  // Once the widget is connected, tracks go through player.load instead
+  if (
+    source.backend === PLAYER_BACKENDS.SOUNDCLOUD &&
+    DOM.scWidget &&
+    !player?.hasBackend(PLAYER_BACKENDS.SOUNDCLOUD)
+  ) {
+    DOM.scWidget.setAttribute("src", createWidgetSrc(source.url, false));
   }
 
   state.pendingTrack = {
-    url: normalized,
+    source,
     autoPlay: false,
   };
 
-  state.currentTrackUrl = normalized;
+  state.currentTrackUrl = source.url;
   resetProgressUI();
 }
 
-async function setupAudioPlayer() {
+// Tracks with an audioUrl keep playing even if the SoundCloud API is blocked
+async function connectSoundCloud() {
   if (!DOM.scWidget) {
     console.warn("SoundCloud widget iframe not found");
-    showUserError("Audio player not available");
     return;
   }
 
-  await waitForSoundCloudAPI();
-
-  player = new SoundCloudPlayer(DOM.scWidget);
-  await player.ensureReady();
-  state.widget = player.widget;
-  state.widgetReady = true;
+  try {
+    await waitForSoundCloudAPI();
+    const soundCloud = new SoundCloudPlayer(DOM.scWidget);
+    soundCloud.on("STATE", renderSoundCloudState);
+    await soundCloud.ensureReady();
+    player.addBackend(PLAYER_BACKENDS.SOUNDCLOUD, soundCloud);
+    state.widget = soundCloud.widget;
+    state.widgetReady = true;
+  } catch (error) {
+    soundCloudUnavailable = true;
+    console.warn("⚠️ SoundCloud unavailable, native audio only:", error);
+  }
+}
 
-  if (state.pendingTrack?.url) {
-    const { url, autoPlay } = state.pendingTrack;
+// Load the track chosen before the player (or the album) was ready
+async function loadPendingTrack() {
+  const pendingSource = state.pendingTrack?.source;
+  if (player && pendingSource && player.hasBackend(pendingSource.backend)) {
+    const { autoPlay } = state.pendingTrack;
     state.pendingTrack = null;
-    await player.load(url, { autoPlay });
-    state.currentTrackUrl = url;
-    await updateDurationDisplay();
+    try {
+      await player.load(pendingSource, { autoPlay });
+      state.currentTrackUrl = pendingSource.url;
+    } catch (error) {
+      console.error("❌ Failed to load initial track:", error);
+    }
+  }
+  await updateDurationDisplay();
+}
+
+// Widget connection status in the player bar, shown only while it matters
+function renderSoundCloudState({ state: connection, attempt, error }) {
+  if (connection === SOUNDCLOUD_STATES.RECOVERING) {
+    setPlayerStatus(`Reconnecting to SoundCloud (attempt ${attempt})…`);
+  } else if (connection === SOUNDCLOUD_STATES.FAILED) {
+    // A blocked API script is reported when a SoundCloud-only track is played
+    if (error?.code === SOUNDCLOUD_ERRORS.API_UNAVAILABLE) {
+      setPlayerStatus(null);
+      return;
+    }
+    setPlayerStatus("SoundCloud is not responding", { isError: true });
   } else {
-    await updateDurationDisplay();
+    setPlayerStatus(null);
   }
+}
+
+function setPlayerStatus(message, { isError = false } = {}) {
+  if (!DOM.playerStatusEl) return;
+  DOM.playerStatusEl.textContent = message || "";
+  DOM.playerStatusEl.hidden = !message;
+  DOM.playerStatusEl.classList.toggle("is-error", isError);
+}
+
+async function setupAudioPlayer() {
+  player = new MultiSourcePlayer();
+
+  if (DOM.audioPlayer) {
+    // CORS only matters to the audio-reactive analyser (setupAudioReactive)
+    player.addBackend(PLAYER_BACKENDS.AUDIO, new AudioElementPlayer(DOM.audioPlayer, DOM.audioPlayerAlt, {
+      crossOrigin: prefersReducedMotion ? null : "anonymous",
+      allowCorsFallback: () => !audioReactive?.isAnalysing(),
+    }));
+  }
+
+  setupVolumeControls();
+
+  await connectSoundCloud();
+
+  if (!player.hasBackend(PLAYER_BACKENDS.AUDIO) && !player.hasBackend(PLAYER_BACKENDS.SOUNDCLOUD)) {
+    player = null;
+    showUserError("Audio player not available");
+    return;
+  }
+
+  await loadPendingTrack();
 
   DOM.playPauseBtn?.addEventListener("click", async () => {
     if (!player) return;
@@ -762,22 +747,76 @@ async function setupAudioPlayer() {
     }
   });
 
+  setupMediaSession();
+  setupBeatSync();
+  setupAudioReactive();
+
   if (player) {
     player.on("PLAY", () => {
       DOM.customPlayer?.classList.add("is-playing");
       setPlayingState(state.playingId, true);
+
+      const playingTrack = getNode(state.playingId || state.defaultTrackId)?.track;
+      mediaSession?.setTrack(playingTrack, state.album);
+      mediaSession?.setPlaybackState(true);
+      updateMediaSessionPosition();
+      startBeatSync(playingTrack);
+      syncAudioReactive(true);
+      updateVolumeUI();
+
+      if (state.pendingSeek != null) {
+        const position = state.pendingSeek;
+        state.pendingSeek = null;
+        player.seekTo(position)
+          .then(() => resyncBeatClock(position))
+          .catch((error) => {
+            console.error("Deep link seek error:", error);
+          });
+      }
     });
 
     player.on("PAUSE", () => {
       DOM.customPlayer?.classList.remove("is-playing");
       setPlayingState(state.playingId, false);
+      mediaSession?.setPlaybackState(false);
+      updateMediaSessionPosition();
+      beatClock?.pause();
+      syncAudioReactive(false);
+
+      // Record where playback stopped so the URL can be shared as-is
+      // (not when an album switch stopped it)
+      if (isSwitchingAlbum) return;
+      player.getPosition()
+        .then((position) => syncUrlState({ replace: true, time: position / 1000 }))
+        .catch(() => {});
     });
 
     player.on("FINISH", () => {
       const finishedId = state.playingId;
+      beatClock?.pause();
+      const nextId = finishedId
+        ? getAdjacentTrackId(state.queue, state.trackOrder, finishedId, 1, { auto: true })
+        : null;
+
+      if (nextId && nextId === finishedId) {
+        // Repeat one: restart in place instead of reloading the widget
+        player.seekTo(0)
+          .then(() => player.play())
+          .catch((error) => console.error("Repeat error:", error));
+        return;
+      }
+
+      if (nextId) {
+        console.log(`⏭️ Autoplay: ${finishedId} → ${nextId}`);
+        playTrackImmediately(nextId, { forceMeta: true });
+        return;
+      }
+
       setPlayingState(finishedId, false);
       setActiveNode(null);
       DOM.customPlayer?.classList.remove("is-playing");
+      mediaSession?.setPlaybackState(false);
+      syncAudioReactive(false);
       resetProgressUI();
     });
 
@@ -789,12 +828,23 @@ async function setupAudioPlayer() {
           ? event.currentPosition / event.duration
           : 0
       );
+      if (state.isPlaying) beatClock?.sync(event.currentPosition);
+      if (Number.isFinite(event.duration) && event.duration > 0) knownDuration = event.duration;
+      handleTrackEnding(event.currentPosition, event.duration);
+      if (isScrubbing) return;
+
       setProgressUI(fraction);
       if (DOM.currentTimeEl) DOM.currentTimeEl.textContent = formatTime(event.currentPosition / 1000);
+      updateSliderValue(event.currentPosition, knownDuration);
     });
 
     player.on("ERROR", (error) => {
-      console.error("SoundCloud Widget Error:", error);
+      // SoundCloudPlayer restarts the widget itself; STATE reports progress
+      if (error?.code === SOUNDCLOUD_ERRORS.WIDGET_ERROR) {
+        console.warn("⚠️ SoundCloud widget error, recovering:", error);
+        return;
+      }
+      console.error("Player error:", error);
       showUserError("Unable to load track");
     });
   }
@@ -803,42 +853,405 @@ async function setupAudioPlayer() {
   console.log("✅ Audio player ready");
 }
 
+// Lock screen, notification and hardware media key controls
+function setupMediaSession() {
+  mediaSession = createMediaSessionController({
+    onPlay: () => {
+      if (!state.isPlaying) toggleTrackPlayback(state.playingId || state.defaultTrackId);
+    },
+    onPause: () => {
+      if (state.isPlaying) toggleTrackPlayback(state.playingId);
+    },
+    onPrevious: () => stepThroughTracks(-1),
+    onNext: () => stepThroughTracks(1),
+    onSeekTo: (position) => {
+      if (!player) return;
+      player.seekTo(position)
+        .then(() => {
+          resyncBeatClock(position);
+          updateMediaSessionPosition();
+        })
+        .catch((error) => console.error("Media Session seek error:", error));
+    },
+  });
+}
+
+async function updateMediaSessionPosition() {
+  if (!mediaSession || !player) return;
+  try {
+    const [position, duration, rate] = await Promise.all([
+      player.getPosition(),
+      player.getDuration(),
+      player.getPlaybackRate(),
+    ]);
+    mediaSession.setPosition(position, duration, rate);
+  } catch (error) {
+    console.warn("⚠️ Media Session position unavailable:", error);
+  }
+}
+
+// Beat grid for the playing track; the CSS pulse is skipped for reduced motion
+function setupBeatSync() {
+  beatClock = createBeatClock();
+  if (!prefersReducedMotion && DOM.starmapSvg) {
+    beatPulse = createBeatPulseRenderer(beatClock, DOM.starmapSvg);
+  }
+}
+
+function startBeatSync(track) {
+  if (!beatClock || !player) return;
+  beatClock.setTempo(track?.bpm, track?.beatOffset);
+  beatClock.setRate(player.supportsPlaybackRate ? state.playbackRate : 1);
+  player.getPosition()
+    .then((position) => {
+      if (!state.isPlaying) return;
+      beatClock.sync(position, { force: true });
+      beatPulse?.start();
+    })
+    .catch(() => {});
+}
+
+function resyncBeatClock(position) {
+  if (state.isPlaying) beatClock?.sync(position, { force: true });
+}
+
+// Band energies for the starfield and the playing halo; analysed from the
+// native <audio> element, or a BPM pulse while SoundCloud is playing
+function setupAudioReactive() {
+  if (prefersReducedMotion) return;
+
+  audioReactive = createAudioReactiveController({
+    audio: [DOM.audioPlayer, DOM.audioPlayerAlt].filter(Boolean),
+    beatClock,
+    onLevels: applyHaloLevels,
+  });
+  state.starfieldController?.setLevelSource(audioReactive.getLevels);
+}
+
+function syncAudioReactive(isPlaying) {
+  if (!audioReactive) return;
+
+  if (isPlaying) {
+    const source = player?.activeName === PLAYER_BACKENDS.AUDIO
+      ? LEVEL_SOURCES.ANALYSER
+      : LEVEL_SOURCES.BPM;
+    audioReactive.setSource(source);
+  }
+
+  audioReactive.setPlaying(isPlaying);
+}
+
+function applyHaloLevels(levels) {
+  const group = state.isPlaying ? getNode(state.playingId)?.group ?? null : null;
+
+  if (haloPulseGroup && haloPulseGroup !== group) {
+    haloPulseGroup.classList.remove("is-audio-reactive");
+    haloPulseGroup.style.removeProperty("--halo-audio-scale");
+  }
+  haloPulseGroup = group;
+  if (!group) return;
+
+  const scale = 1 + levels.bass * AUDIO_REACTIVE.HALO_SCALE_RANGE;
+  group.classList.add("is-audio-reactive");
+  group.style.setProperty("--halo-audio-scale", scale.toFixed(3));
+}
+
+// ============================================
+// VOLUME & PLAYBACK RATE
+// ============================================
+
+function setupVolumeControls() {
+  const preferences = loadPlayerPreferences();
+  state.volume = preferences.volume;
+  state.isMuted = preferences.muted;
+  state.playbackRate = preferences.playbackRate;
+  state.crossfade = preferences.crossfade;
+
+  DOM.muteBtn?.addEventListener("click", toggleMute);
+  DOM.volumeSlider?.addEventListener("input", (event) => {
+    setVolumeLevel(Number(event.target.value));
+  });
+  DOM.rateBtn?.addEventListener("click", () => {
+    setPlaybackRate(getNextPlaybackRate(state.playbackRate));
+  });
+  DOM.crossfadeBtn?.addEventListener("click", () => {
+    state.crossfade = getNextCrossfade(state.crossfade);
+    applyAudioSettings();
+  });
+
+  applyAudioSettings({ persist: false });
+}
+
+function applyAudioSettings({ persist = true } = {}) {
+  if (player) {
+    player.setVolume(state.isMuted ? 0 : state.volume).catch((error) => {
+      console.error("Volume error:", error);
+    });
+    player.setPlaybackRate(state.playbackRate).catch((error) => {
+      console.error("Playback rate error:", error);
+    });
+    beatClock?.setRate(player.supportsPlaybackRate ? state.playbackRate : 1);
+  }
+
+  updateVolumeUI();
+
+  if (persist) {
+    savePlayerPreferences({
+      volume: state.volume,
+      muted: state.isMuted,
+      playbackRate: state.playbackRate,
+      crossfade: state.crossfade,
+    });
+  }
+}
+
+function setVolumeLevel(volume) {
+  if (!Number.isFinite(volume)) return;
+  state.volume = Math.min(100, Math.max(0, Math.round(volume)));
+  state.isMuted = state.volume === 0;
+  applyAudioSettings();
+}
+
+function changeVolume(delta) {
+  const base = state.isMuted ? 0 : state.volume;
+  setVolumeLevel(base + delta);
+}
+
+function toggleMute() {
+  if (state.isMuted && state.volume === 0) {
+    state.volume = AUDIO.DEFAULT_VOLUME;
+  }
+  state.isMuted = !state.isMuted;
+  applyAudioSettings();
+}
+
+function setPlaybackRate(rate) {
+  state.playbackRate = rate;
+  applyAudioSettings();
+  updateMediaSessionPosition();
+}
+
+function updateVolumeUI() {
+  const level = state.isMuted ? 0 : state.volume;
+
+  if (DOM.volumeSlider) {
+    DOM.volumeSlider.value = String(level);
+    DOM.volumeSlider.style.setProperty("--volume-percent", `${level}%`);
+    DOM.volumeSlider.setAttribute("aria-valuetext", state.isMuted ? "Muted" : `${level}%`);
+  }
+
+  if (DOM.muteBtn) {
+    DOM.muteBtn.classList.toggle("is-muted", state.isMuted);
+    DOM.muteBtn.setAttribute("aria-pressed", String(state.isMuted));
+    DOM.muteBtn.setAttribute("aria-label", state.isMuted ? "Unmute" : "Mute");
+  }
+
+  if (DOM.rateBtn) {
+    const supported = Boolean(player?.supportsPlaybackRate);
+    const label = `${state.playbackRate}×`;
+    DOM.rateBtn.textContent = label;
+    DOM.rateBtn.disabled = !supported;
+    DOM.rateBtn.setAttribute("aria-label", `Playback speed: ${label}`);
+    DOM.rateBtn.title = supported ? "Playback speed" : "Speed control needs a local audio file";
+  }
+
+  if (DOM.crossfadeBtn) {
+    const seconds = state.crossfade / 1000;
+    DOM.crossfadeBtn.textContent = seconds ? `Fade ${seconds}s` : "Fade off";
+    DOM.crossfadeBtn.setAttribute("aria-label", seconds ? `Crossfade: ${seconds} seconds` : "Crossfade: off");
+    DOM.crossfadeBtn.title = "Crossfade between tracks with local audio files";
+  }
+}
+
+// ============================================
+// CROSSFADE & SEGUES
+// ============================================
+
+// Fades need the native backend on both sides and something already playing
+function getCrossfadeDuration(nextId) {
+  if (!state.crossfade || !state.isPlaying || player?.activeName !== PLAYER_BACKENDS.AUDIO) {
+    return 0;
+  }
+  const source = getTrackSource(getNode(nextId)?.track);
+  return source?.backend === PLAYER_BACKENDS.AUDIO ? state.crossfade : 0;
+}
+
+// Stretch the node and link transitions over the fade so the glow moves
+// from one star to the next at the same pace as the audio
+function showCrossfade(duration) {
+  const svg = DOM.starmapSvg;
+  if (!svg || !duration) return;
+
+  clearTimeout(crossfadeTimer);
+  svg.style.setProperty("--crossfade-duration", `${duration}ms`);
+  svg.classList.add("is-crossfading");
+  crossfadeTimer = setTimeout(() => {
+    svg.classList.remove("is-crossfading");
+    crossfadeTimer = null;
+  }, duration);
+}
+
+// Near the end of a native track: buffer the next one for a segue
+// (`segueInto` in album.json), or start it early so it fades in underneath
+function handleTrackEnding(position, duration) {
+  const currentId = state.playingId;
+  if (!state.isPlaying || !currentId || !duration || player?.activeName !== PLAYER_BACKENDS.AUDIO) {
+    return;
+  }
+
+  // Progress from the previous track can still arrive while the next loads
+  const track = getNode(currentId)?.track;
+  if (getTrackSource(track)?.url !== state.currentTrackUrl) return;
+
+  const nextId = getUpNextId();
+  const nextSource = nextId && nextId !== currentId ? getTrackSource(getNode(nextId)?.track) : null;
+  if (nextSource?.backend !== PLAYER_BACKENDS.AUDIO) return;
+
+  const remaining = (duration - position) / state.playbackRate;
+
+  if (track.segueInto) {
+    if (remaining <= AUDIO.PRELOAD_LEAD) player.preload(nextSource);
+    return;
+  }
+
+  if (state.crossfade && remaining <= state.crossfade) {
+    console.log(`🔀 Crossfade: ${currentId} → ${nextId}`);
+    playTrackImmediately(nextId, { forceMeta: true });
+  }
+}
+
+// The progress bar is an ARIA slider: drag with mouse, pen or touch, or
+// focus it and use Left/Right/Home/End/PageUp/PageDown
 function setupProgressBar() {
-  if (!DOM.progressBar || !player) return;
+  const bar = DOM.progressBar;
+  if (!bar || !player) return;
 
-  let isSeeking = false;
+  let dragPointerId = null;
 
-  const seek = async (e) => {
-    if (!player) return;
-    const rect = DOM.progressBar.getBoundingClientRect();
-    const percent = clamp01((e.clientX - rect.left) / rect.width);
-    setProgressUI(percent);
-    try {
-      const duration = await player.getDuration();
-      await player.seekTo(percent * duration);
-    } catch (error) {
-      console.error("Seek error:", error);
+  const fractionAt = (event) => {
+    const rect = bar.getBoundingClientRect();
+    return rect.width ? clamp01((event.clientX - rect.left) / rect.width) : 0;
+  };
+
+  // Move the UI only; the player seeks once the pointer is released
+  const preview = (fraction) => {
+    setProgressUI(fraction);
+    if (knownDuration) {
+      const position = fraction * knownDuration;
+      if (DOM.currentTimeEl) DOM.currentTimeEl.textContent = formatTime(position / 1000);
+      updateSliderValue(position, knownDuration);
     }
   };
 
-  DOM.progressBar.addEventListener("mousedown", (e) => {
-    isSeeking = true;
-    DOM.progressBar.classList.add("is-seeking");
-    seek(e);
+  const endDrag = (event) => {
+    if (dragPointerId !== event.pointerId) return false;
+    dragPointerId = null;
+    isScrubbing = false;
+    bar.classList.remove("is-seeking");
+    if (bar.hasPointerCapture?.(event.pointerId)) {
+      bar.releasePointerCapture(event.pointerId);
+    }
+    return true;
+  };
+
+  bar.addEventListener("pointerdown", (event) => {
+    if (event.pointerType === "mouse" && event.button !== 0) return;
+    event.preventDefault();
+    bar.focus({ preventScroll: true });
+
+    dragPointerId = event.pointerId;
+    isScrubbing = true;
+    bar.classList.add("is-seeking");
+    bar.setPointerCapture?.(event.pointerId);
+    preview(fractionAt(event));
+  });
+
+  bar.addEventListener("pointermove", (event) => {
+    if (dragPointerId === event.pointerId) preview(fractionAt(event));
   });
 
-  window.addEventListener("mousemove", (e) => {
-    if (isSeeking) seek(e);
+  bar.addEventListener("pointerup", (event) => {
+    if (endDrag(event)) seekToFraction(fractionAt(event));
   });
 
-  window.addEventListener("mouseup", () => {
-    if (isSeeking) {
-      isSeeking = false;
-      DOM.progressBar.classList.remove("is-seeking");
+  // Cancelled gestures (e.g. the browser took over for scrolling) don't seek
+  bar.addEventListener("pointercancel", (event) => {
+    if (endDrag(event)) {
+      player.getPosition()
+        .then((position) => knownDuration && setProgressUI(position / knownDuration))
+        .catch(() => {});
     }
   });
 
-  DOM.progressBar.addEventListener("click", seek);
+  bar.addEventListener("keydown", (event) => {
+    const steps = {
+      ArrowLeft: -AUDIO.SEEK_STEP,
+      ArrowRight: AUDIO.SEEK_STEP,
+      PageDown: -AUDIO.SEEK_PAGE_STEP,
+      PageUp: AUDIO.SEEK_PAGE_STEP,
+    };
+    const isJump = event.key === "Home" || event.key === "End";
+    if (!(event.key in steps) && !isJump) return;
+
+    // Keep the document-level arrow keys from stepping tracks as well
+    event.preventDefault();
+    event.stopPropagation();
+
+    seekBy(event.key, steps[event.key]);
+  });
+
+  async function seekBy(key, step) {
+    try {
+      const duration = await player.getDuration();
+      if (!duration) return;
+      let target = 0;
+      if (key === "End") {
+        target = duration;
+      } else if (key !== "Home") {
+        target = (await player.getPosition()) + step;
+      }
+      await seekToPosition(Math.min(Math.max(target, 0), duration), duration);
+    } catch (error) {
+      console.error("Seek error:", error);
+    }
+  }
+
+  async function seekToFraction(fraction) {
+    try {
+      const duration = await player.getDuration();
+      await seekToPosition(fraction * duration, duration);
+    } catch (error) {
+      console.error("Seek error:", error);
+    }
+  }
+
+  async function seekToPosition(position, duration) {
+    knownDuration = duration || knownDuration;
+    setProgressUI(duration ? position / duration : 0);
+    if (DOM.currentTimeEl) DOM.currentTimeEl.textContent = formatTime(position / 1000);
+    updateSliderValue(position, duration);
+    await player.seekTo(position);
+    resyncBeatClock(position);
+  }
+}
+
+// Whole seconds only, so assistive tech isn't flooded by progress events
+function updateSliderValue(position, duration) {
+  if (!DOM.progressBar) return;
+
+  const positionSeconds = Math.max(0, Math.floor((position || 0) / 1000));
+  const durationSeconds = Math.max(0, Math.floor((duration || 0) / 1000));
+  if (positionSeconds === sliderSeconds.position && durationSeconds === sliderSeconds.duration) {
+    return;
+  }
+  sliderSeconds = { position: positionSeconds, duration: durationSeconds };
+
+  DOM.progressBar.setAttribute("aria-valuemax", String(durationSeconds));
+  DOM.progressBar.setAttribute("aria-valuenow", String(Math.min(positionSeconds, durationSeconds)));
+  DOM.progressBar.setAttribute(
+    "aria-valuetext",
+    `${formatTime(positionSeconds)} of ${formatTime(durationSeconds)}`
+  );
 }
 
 function setProgressUI(fraction) {
@@ -849,11 +1262,13 @@ function setProgressUI(fraction) {
     DOM.progressFill.style.opacity = clamped > 0 ? "1" : "0.4";
   }
   if (DOM.progressHandle) DOM.progressHandle.style.left = `${percent}%`;
+  waveform?.setProgress(clamped);
 }
 
 function resetProgressUI() {
   setProgressUI(0);
   if (DOM.currentTimeEl) DOM.currentTimeEl.textContent = "0:00";
+  updateSliderValue(0, knownDuration);
 }
 
 async function updateDurationDisplay() {
@@ -861,6 +1276,9 @@ async function updateDurationDisplay() {
   try {
     const duration = await player.getDuration();
     DOM.durationEl.textContent = formatTime(duration / 1000);
+    waveform?.setDuration(duration);
+    knownDuration = duration;
+    updateSliderValue(0, duration);
   } catch (error) {
     console.error("Duration display error:", error);
   }
@@ -887,6 +1305,8 @@ function setInitialTrack(track) {
   if (DOM.durationEl && track.duration) {
     DOM.durationEl.textContent = track.duration;
   }
+
+  waveform?.setTrack(track);
 }
 
 function handleTrackSelection(trackId) {
@@ -903,10 +1323,24 @@ function handleTrackSelection(trackId) {
   }
 }
 
+// Shows a track's details and marks its star without starting playback
+function inspectTrack(trackId) {
+  const nodeData = getNode(trackId);
+  if (!nodeData) return;
+  updateMeta(nodeData.track, { persistent: true, force: true });
+  setKeyboardFocus(trackId);
+}
+
 function handleNodeFocus(track) {
   if (!track) return;
   if (state.lastNavigationMode === "keyboard") {
     setKeyboardFocus(track.id);
+    // Stepping and media keys focus the star they are already starting;
+    // loading it again from here would cut their crossfade short
+    if (track.id === state.playingId || track.id === loadingTrackId) {
+      updateMeta(track, true);
+      return;
+    }
     playTrackImmediately(track.id, { forceMeta: true });
   } else {
     setKeyboardFocus(null);
@@ -938,20 +1372,23 @@ async function toggleTrackPlayback(trackId) {
       console.error("Toggle playback error:", error);
     }
   } else {
+    const crossfade = getCrossfadeDuration(trackId);
+    showCrossfade(crossfade);
     setActiveNode(trackId);
     setPlayingState(null, false);
-    await playTrack(trackId);
+    syncUrlState();
+    await playTrack(trackId, { crossfade });
   }
 }
 
-async function playTrack(trackId) {
+async function playTrack(trackId, { crossfade = 0 } = {}) {
   const nodeData = getNode(trackId);
   if (!nodeData) return;
 
   const { track } = nodeData;
-  const sanitized = normalizeSoundUrl(track.soundcloudId);
-  if (!sanitized) {
-    console.warn("Invalid SoundCloud ID:", track.soundcloudId);
+  const source = getTrackSource(track);
+  if (!source) {
+    console.warn("No playable source for track:", track.id);
     return;
   }
 
@@ -960,10 +1397,11 @@ async function playTrack(trackId) {
   }
 
   resetProgressUI();
+  waveform?.setTrack(track);
 
   try {
-    if (player && state.widgetReady) {
-      if (sanitized === state.currentTrackUrl) {
+    if (player?.hasBackend(source.backend)) {
+      if (source.url === state.currentTrackUrl) {
         const paused = await player.isPaused();
         if (paused) {
           await player.play();
@@ -972,13 +1410,21 @@ async function playTrack(trackId) {
       }
 
       state.pendingTrack = null;
-      await player.load(sanitized, { autoPlay: true });
-      state.currentTrackUrl = sanitized;
+      if (!isRestoringUrlState) state.pendingSeek = null;
+      loadingTrackId = trackId;
+      try {
+        await player.load(source, { autoPlay: true, crossfade });
+      } finally {
+        if (loadingTrackId === trackId) loadingTrackId = null;
+      }
+      state.currentTrackUrl = source.url;
       await updateDurationDisplay();
+    } else if (source.backend === PLAYER_BACKENDS.SOUNDCLOUD && soundCloudUnavailable) {
+      showUserError("SoundCloud is unavailable and this track has no local audio.");
     } else {
-      state.pendingTrack = { url: sanitized, autoPlay: true };
-      if (DOM.scWidget) {
-        const src = createWidgetSrc(sanitized, true);
+      state.pendingTrack = { source, autoPlay: true };
+      if (source.backend === PLAYER_BACKENDS.SOUNDCLOUD && DOM.scWidget) {
+        const src = createWidgetSrc(source.url, true);
         DOM.scWidget.setAttribute("src", src);
       }
     }
@@ -994,9 +1440,12 @@ function playTrackImmediately(trackId, { forceMeta = false } = {}) {
   const nodeData = getNode(trackId);
   if (!nodeData) return;
 
+  const crossfade = getCrossfadeDuration(trackId);
+  showCrossfade(crossfade);
   setPlayingState(null, false);
   setActiveNode(trackId);
-  playTrack(trackId);
+  syncUrlState();
+  playTrack(trackId, { crossfade });
 
   if (forceMeta || nodeData.track) {
     updateMeta(nodeData.track, { persistent: true, force: forceMeta });
@@ -1007,11 +1456,7 @@ function stepThroughTracks(direction) {
   if (!state.trackOrder.length || !Number.isFinite(direction)) return;
 
   const currentId = getCurrentTrackId();
-  const order = state.trackOrder;
-  const currentIndex = currentId ? order.indexOf(currentId) : -1;
-  const normalizedIndex = currentIndex >= 0 ? currentIndex : 0;
-  const nextIndex = (normalizedIndex + direction + order.length) % order.length;
-  const nextId = order[nextIndex];
+  const nextId = getAdjacentTrackId(state.queue, state.trackOrder, currentId, direction);
 
   if (!nextId || nextId === currentId) return;
 
@@ -1019,6 +1464,9 @@ function stepThroughTracks(direction) {
 }
 
 function setActiveNode(trackId) {
+  // Before focusing, so handleNodeFocus() knows this track is already chosen
+  state.playingId = trackId;
+
   let focusTarget = null;
 
   state.nodes.forEach(({ group }, id) => {
@@ -1046,8 +1494,6 @@ function setActiveNode(trackId) {
     setKeyboardFocus(null);
   }
 
-  state.playingId = trackId;
-
   if (state.isMobile && state.album && trackId) {
     const layoutName = getLayoutName(state.layout);
     updatePlayingCard(trackId, state.album.tracks, layoutName);
@@ -1057,6 +1503,77 @@ function setActiveNode(trackId) {
   if (nodeData?.track) {
     updateMobileTrackLabel(nodeData.track.title);
   }
+
+  updateUpNext();
+}
+
+// ============================================
+// PLAYBACK QUEUE
+// ============================================
+
+// Track the queue would move to when the current one finishes
+function getUpNextId() {
+  if (!state.playingId) return null;
+  return getAdjacentTrackId(state.queue, state.trackOrder, state.playingId, 1, { auto: true });
+}
+
+function updateUpNext() {
+  const currentId = state.playingId;
+  const nextId = getUpNextId();
+
+  highlightActiveLinks(state.playingId, nextId);
+
+  if (!DOM.upNextTitleEl) return;
+
+  const nextTrack = nextId ? getNode(nextId)?.track : null;
+  if (!currentId) {
+    DOM.upNextTitleEl.textContent = "—";
+  } else if (!nextTrack) {
+    DOM.upNextTitleEl.textContent = "End of album";
+  } else if (nextId === currentId) {
+    DOM.upNextTitleEl.textContent = `${nextTrack.title} (repeat)`;
+  } else {
+    DOM.upNextTitleEl.textContent = nextTrack.title;
+  }
+}
+
+function updateQueueButtons() {
+  const { shuffle, repeatMode } = state.queue;
+
+  if (DOM.shuffleBtn) {
+    DOM.shuffleBtn.setAttribute("aria-pressed", String(shuffle));
+    DOM.shuffleBtn.classList.toggle("is-active", shuffle);
+  }
+
+  if (DOM.repeatBtn) {
+    DOM.repeatBtn.dataset.mode = repeatMode;
+    DOM.repeatBtn.setAttribute("aria-label", `Repeat: ${repeatMode}`);
+    DOM.repeatBtn.classList.toggle("is-active", repeatMode !== "off");
+  }
+}
+
+function toggleShuffle() {
+  const queue = state.queue;
+  queue.shuffle = !queue.shuffle;
+  queue.shuffleOrder = queue.shuffle
+    ? createShuffleOrder(state.trackOrder, state.playingId || state.defaultTrackId)
+    : [];
+  console.log(`🔀 Shuffle ${queue.shuffle ? "on" : "off"}`);
+  updateQueueButtons();
+  updateUpNext();
+}
+
+function cycleRepeat() {
+  state.queue.repeatMode = cycleRepeatMode(state.queue.repeatMode);
+  console.log(`🔁 Repeat: ${state.queue.repeatMode}`);
+  updateQueueButtons();
+  updateUpNext();
+}
+
+function setupQueueControls() {
+  DOM.shuffleBtn?.addEventListener("click", toggleShuffle);
+  DOM.repeatBtn?.addEventListener("click", cycleRepeat);
+  updateQueueButtons();
 }
 
 function setPlayingState(trackId, isPlaying) {
@@ -1094,7 +1611,8 @@ function updateMeta(track, persistent = false) {
     return;
   }
 
-  const displayKey = track.key.replace(/♭/g, 'b');
+  // The author's spelling, not the enharmonic root used for colours
+  const displayKey = parseKey(track.key)?.spelling ?? track.key;
 
   const metaEntries = [
     { label: "Duration", value: track.duration ?? "—" },
@@ -1179,8 +1697,11 @@ function createMetaMarkup(title, entries) {
 
 function setupKeyboardNavigation() {
   document.addEventListener("keydown", (e) => {
-    if (["INPUT", "TEXTAREA"].includes(e.target.tagName)) return;
+    // Form controls (the album switcher included) keep their own keys
+    if (e.target.closest?.("input, textarea, select, [contenteditable]") || e.target.isContentEditable) return;
     if (document.querySelector(".about-overlay.is-open, .guide-overlay.is-open")) return;
+    // Browser shortcuts (Ctrl/Cmd +/- zoom and the like) aren't ours
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
 
     if (e.key === "Tab") {
       state.lastNavigationMode = "keyboard";
@@ -1215,6 +1736,21 @@ function setupKeyboardNavigation() {
         cycleLayout(1);
         break;
       }
+      case "m":
+      case "M": {
+        toggleMute();
+        break;
+      }
+      case "+":
+      case "=": {
+        changeVolume(AUDIO.VOLUME_STEP);
+        break;
+      }
+      case "-":
+      case "_": {
+        changeVolume(-AUDIO.VOLUME_STEP);
+        break;
+      }
       default:
         break;
     }
@@ -1224,17 +1760,78 @@ function setupKeyboardNavigation() {
 function cycleLayout(direction) {
   if (!state.album) return;
 
-  const layouts = ["constellations", "helix", "scatter", "tempo-spiral"];
-  const currentIndex = layouts.indexOf(state.layout);
-  const normalizedIndex = currentIndex === -1 ? 0 : currentIndex;
-  const nextIndex = (normalizedIndex + direction + layouts.length) % layouts.length;
-  const nextLayout = layouts[nextIndex];
+  const nextLayout = getAdjacentLayoutId(state.layout, direction);
 
   if (nextLayout && nextLayout !== state.layout) {
     applyLayout(nextLayout);
+    syncUrlState();
+  }
+}
+
+// ============================================
+// URL STATE
+// ============================================
+
+function syncUrlState({ replace = false, time = null } = {}) {
+  if (isRestoringUrlState || !state.album) return;
+  writeUrlState(
+    {
+      // Single-album sites keep their URLs as they were
+      albumId: state.catalog?.albums.length > 1 ? state.albumId : null,
+      layout: state.layout,
+      trackId: state.playingId ?? state.defaultTrackId,
+      time,
+    },
+    { replace }
+  );
+}
+
+function handleUrlStateChange({ albumId, layout, trackId, time }) {
+  if (!state.album) return;
+
+  const targetAlbumId = albumId ?? getCatalogEntry(state.catalog)?.id;
+  if (targetAlbumId !== state.albumId && hasCatalogEntry(state.catalog, targetAlbumId)) {
+    switchAlbum(targetAlbumId, { target: { layout, trackId, time } });
+    return;
+  }
+
+  isRestoringUrlState = true;
+  try {
+    if (layout && layout !== state.layout && getLayoutDefinition(layout)) {
+      applyLayout(layout);
+    }
+
+    const currentId = state.playingId ?? state.defaultTrackId;
+    if (trackId && trackId !== currentId && getNode(trackId)) {
+      state.pendingSeek = Number.isFinite(time) ? time * 1000 : null;
+      playTrackImmediately(trackId, { forceMeta: true });
+    } else if (trackId && trackId === currentId && Number.isFinite(time)) {
+      seekToRestoredTime(time * 1000);
+    }
+  } finally {
+    isRestoringUrlState = false;
   }
 }
 
+// Back/forward to another moment of the track that is already loaded
+function seekToRestoredTime(position) {
+  if (!player || !state.playingId) {
+    state.pendingSeek = position;
+    return;
+  }
+
+  player.getPosition()
+    .then((current) => {
+      // URL times are whole seconds
+      if (Math.abs(current - position) < 1000) return null;
+      return player.seekTo(position).then(() => {
+        resyncBeatClock(position);
+        updateMediaSessionPosition();
+      });
+    })
+    .catch((error) => console.error("History seek error:", error));
+}
+
 // ============================================
 // MODALS
 // ============================================
@@ -1333,6 +1930,11 @@ function cleanupResources() {
     DOM.main.removeEventListener('touchend', handleTouchEnd);
   }
 
+  if (removeUrlStateListener) {
+    removeUrlStateListener();
+    removeUrlStateListener = null;
+  }
+
   if (state.resizeObserver) {
     state.resizeObserver.disconnect();
     state.resizeObserver = null;
@@ -1341,6 +1943,41 @@ function cleanupResources() {
   cancelPendingLinkUpdates();
   cleanupAllNodes();
 
+  if (state.editor) {
+    state.editor.destroy();
+    state.editor = null;
+  }
+
+  if (state.validationOverlay) {
+    state.validationOverlay.destroy();
+    state.validationOverlay = null;
+  }
+
+  if (mediaSession) {
+    mediaSession.destroy();
+    mediaSession = null;
+  }
+
+  if (audioReactive) {
+    audioReactive.destroy();
+    audioReactive = null;
+  }
+
+  if (beatPulse) {
+    beatPulse.stop();
+    beatPulse = null;
+  }
+
+  if (waveform) {
+    waveform.destroy();
+    waveform = null;
+  }
+
+  if (crossfadeTimer) {
+    clearTimeout(crossfadeTimer);
+    crossfadeTimer = null;
+  }
+
   if (player) {
     player.cleanup();
   }
@@ -1466,10 +2103,7 @@ function setMobileView(view, { userInitiated = false } = {}) {
 
 function updateMobileLayoutLabel() {
   if (!DOM.mobileLayoutLabel) return;
-  const activeButton = DOM.layoutButtons.find((btn) => btn.classList.contains('is-active'));
-  if (activeButton) {
-    DOM.mobileLayoutLabel.textContent = activeButton.textContent.trim();
-  }
+  DOM.mobileLayoutLabel.textContent = getLayoutName(state.layout);
 }
 
 function updateMobileTrackLabel(title) {
@@ -0,0 +1,95 @@
+// ============================================
+// MEDIA SESSION (lock screen & hardware keys)
+// ============================================
+// Publishes the playing track to navigator.mediaSession and forwards the
+// system transport controls back to the player. Returns null where the API
+// is unavailable, so callers can use optional chaining throughout.
+import { MEDIA_SESSION } from './constants.js';
+
+function normalizeArtwork(artwork) {
+  if (!artwork) return MEDIA_SESSION.DEFAULT_ARTWORK;
+  if (typeof artwork === 'string') return [{ src: artwork }];
+  return Array.isArray(artwork) ? artwork : [artwork];
+}
+
+export function createMediaSessionController({
+  onPlay,
+  onPause,
+  onPrevious,
+  onNext,
+  onSeekTo,
+} = {}) {
+  const session = typeof navigator !== 'undefined' ? navigator.mediaSession : null;
+  if (!session || typeof MediaMetadata === 'undefined') return null;
+
+  const handlers = {
+    play: () => onPlay?.(),
+    pause: () => onPause?.(),
+    previoustrack: () => onPrevious?.(),
+    nexttrack: () => onNext?.(),
+    seekto: (details) => {
+      if (Number.isFinite(details?.seekTime)) onSeekTo?.(details.seekTime * 1000);
+    },
+  };
+
+  Object.entries(handlers).forEach(([action, handler]) => {
+    try {
+      session.setActionHandler(action, handler);
+    } catch {
+      console.warn(`⚠️ Media Session action not supported: ${action}`);
+    }
+  });
+
+  function setTrack(track, album) {
+    if (!track) {
+      session.metadata = null;
+      return;
+    }
+
+    session.metadata = new MediaMetadata({
+      title: track.title,
+      artist: album?.band ?? '',
+      album: album?.album ?? '',
+      artwork: normalizeArtwork(track.artwork ?? album?.artwork),
+    });
+  }
+
+  function setPlaybackState(isPlaying) {
+    session.playbackState = isPlaying ? 'playing' : 'paused';
+  }
+
+  // Times in milliseconds, as reported by the player
+  function setPosition(position, duration, playbackRate = 1) {
+    if (typeof session.setPositionState !== 'function') return;
+    if (!Number.isFinite(duration) || duration <= 0) return;
+
+    try {
+      session.setPositionState({
+        duration: duration / 1000,
+        position: Math.min(Math.max(position, 0), duration) / 1000,
+        playbackRate,
+      });
+    } catch (error) {
+      console.warn('⚠️ Media Session position rejected:', error);
+    }
+  }
+
+  function destroy() {
+    Object.keys(handlers).forEach((action) => {
+      try {
+        session.setActionHandler(action, null);
+      } catch {
+        // Action was never registered
+      }
+    });
+    session.metadata = null;
+    session.playbackState = 'none';
+  }
+
+  return {
+    setTrack,
+    setPlaybackState,
+    setPosition,
+    destroy,
+  };
+}
@@ -3,17 +3,8 @@
 // ============================================
 import { getKeyColors } from './color-system.js';
 
-// Layout ID to display name mapping
-const LAYOUT_NAMES = {
-  'constellations': 'Zodiac Weave',
-  'helix': 'Spiral Helix',
-  'scatter': 'Lunar Drift',
-  'tempo-spiral': 'Tempo Ascendant'
-};
-
-export function getLayoutName(layoutId) {
-  return LAYOUT_NAMES[layoutId] || 'Constellation';
-}
+// Layout display names come from the layout registry
+export { getLayoutName } from './layouts/index.js';
 
 let revealObserver = null;
 
@@ -0,0 +1,65 @@
+// ============================================
+// PLAYBACK QUEUE
+// ============================================
+// Decides which track follows the current one. Album order comes from
+// state.trackOrder; shuffle keeps its own permutation so stepping back and
+// forth stays consistent until shuffle is toggled again.
+
+export const REPEAT_MODES = ["off", "all", "one"];
+
+export function createQueueState() {
+  return {
+    repeatMode: "off",
+    shuffle: false,
+    shuffleOrder: [],
+  };
+}
+
+export function cycleRepeatMode(mode) {
+  const index = REPEAT_MODES.indexOf(mode);
+  return REPEAT_MODES[(index + 1) % REPEAT_MODES.length];
+}
+
+// Fisher-Yates shuffle that keeps `firstId` at the front, so the song that
+// is playing when shuffle is switched on stays put.
+export function createShuffleOrder(trackOrder, firstId = null, random = Math.random) {
+  const rest = trackOrder.filter((id) => id !== firstId);
+  for (let i = rest.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(random() * (i + 1));
+    [rest[i], rest[j]] = [rest[j], rest[i]];
+  }
+  return firstId && trackOrder.includes(firstId) ? [firstId, ...rest] : rest;
+}
+
+export function getPlaybackOrder(queue, trackOrder) {
+  if (queue?.shuffle && queue.shuffleOrder.length === trackOrder.length) {
+    return queue.shuffleOrder;
+  }
+  return trackOrder;
+}
+
+// Track that should play after `currentId` in the given direction.
+// `auto` marks advances triggered by a track finishing: they honour
+// repeat-one and stop at the end of the album when repeat is off.
+export function getAdjacentTrackId(queue, trackOrder, currentId, direction = 1, { auto = false } = {}) {
+  const order = getPlaybackOrder(queue, trackOrder);
+  if (!order.length) return null;
+
+  if (auto && queue?.repeatMode === "one" && currentId) {
+    return currentId;
+  }
+
+  const currentIndex = currentId ? order.indexOf(currentId) : -1;
+  if (currentIndex === -1) return order[0];
+
+  const nextIndex = currentIndex + direction;
+  if (nextIndex >= 0 && nextIndex < order.length) {
+    return order[nextIndex];
+  }
+
+  if (auto && queue?.repeatMode === "off") {
+    return null;
+  }
+
+  return order[(nextIndex + order.length) % order.length];
+}
@@ -0,0 +1,60 @@
+// ============================================
+// PLAYER PREFERENCES (persisted volume, speed & crossfade)
+// ============================================
+// Stored in localStorage so volume, mute, playback rate and crossfade
+// survive reloads.
+// Storage can be unavailable (private mode, blocked cookies); reads then fall
+// back to the defaults and writes are silently skipped.
+import { AUDIO } from './constants.js';
+
+export const DEFAULT_PLAYER_PREFERENCES = Object.freeze({
+  volume: AUDIO.DEFAULT_VOLUME,
+  muted: false,
+  playbackRate: 1,
+  crossfade: AUDIO.DEFAULT_CROSSFADE,
+});
+
+export function loadPlayerPreferences() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(AUDIO.PREFERENCES_KEY) || "null");
+    if (!stored || typeof stored !== "object") return { ...DEFAULT_PLAYER_PREFERENCES };
+
+    return {
+      volume: Number.isFinite(stored.volume)
+        ? Math.min(100, Math.max(0, Math.round(stored.volume)))
+        : DEFAULT_PLAYER_PREFERENCES.volume,
+      muted: stored.muted === true,
+      playbackRate: AUDIO.PLAYBACK_RATES.includes(stored.playbackRate)
+        ? stored.playbackRate
+        : DEFAULT_PLAYER_PREFERENCES.playbackRate,
+      crossfade: AUDIO.CROSSFADE_DURATIONS.includes(stored.crossfade)
+        ? stored.crossfade
+        : DEFAULT_PLAYER_PREFERENCES.crossfade,
+    };
+  } catch {
+    return { ...DEFAULT_PLAYER_PREFERENCES };
+  }
+}
+
+export function savePlayerPreferences({ volume, muted, playbackRate, crossfade }) {
+  try {
+    window.localStorage.setItem(
+      AUDIO.PREFERENCES_KEY,
+      JSON.stringify({ volume, muted, playbackRate, crossfade })
+    );
+  } catch {
+    // Storage unavailable; preferences last for this session only
+  }
+}
+
+export function getNextPlaybackRate(rate) {
+  const rates = AUDIO.PLAYBACK_RATES;
+  const index = rates.indexOf(rate);
+  return rates[(index + 1) % rates.length];
+}
+
+export function getNextCrossfade(duration) {
+  const durations = AUDIO.CROSSFADE_DURATIONS;
+  const index = durations.indexOf(duration);
+  return durations[(index + 1) % durations.length];
+}
@@ -0,0 +1,201 @@
+// ============================================
+// PLAYER (common interface over audio backends)
+// ============================================
+// Every backend implements the same promise-based surface:
+//   ensureReady, play, pause, togglePlayPause, isPaused,
+//   load(url, { autoPlay, crossfade }), seekTo(ms), getPosition(), getDuration(),
+//   setVolume(0-100), getVolume(), setPlaybackRate(rate), getPlaybackRate(),
+//   on/off(eventName, handler) and cleanup()
+// with the events PLAY, PAUSE, FINISH, PLAY_PROGRESS and ERROR, plus a
+// `supportsPlaybackRate` flag. Backends that can buffer ahead (the native
+// one) also implement preload(url); others ignore `crossfade`.
+// MultiSourcePlayer routes calls to whichever backend holds the current
+// track, so main.js only ever talks to one object.
+import { normalizeAudioUrl, normalizeSoundUrl } from './utils.js';
+
+export const PLAYER_BACKENDS = {
+  AUDIO: "audio",
+  SOUNDCLOUD: "soundcloud",
+};
+
+export const PLAYER_EVENTS = ["PLAY", "PAUSE", "FINISH", "PLAY_PROGRESS", "ERROR"];
+
+// Self-hosted audio wins over SoundCloud when a track has both
+export function getTrackSource(track) {
+  if (!track) return null;
+
+  const audioUrl = normalizeAudioUrl(track.audioUrl);
+  if (audioUrl) {
+    return { backend: PLAYER_BACKENDS.AUDIO, url: audioUrl };
+  }
+
+  const soundUrl = normalizeSoundUrl(track.soundcloudId);
+  if (soundUrl) {
+    return { backend: PLAYER_BACKENDS.SOUNDCLOUD, url: soundUrl };
+  }
+
+  return null;
+}
+
+export class MultiSourcePlayer {
+  constructor() {
+    this.backends = new Map();
+    this.activeName = null;
+    this.eventHandlers = new Map();
+    this.volume = 100;
+    this.playbackRate = 1;
+  }
+
+  // Backends can arrive late (the SoundCloud API loads asynchronously);
+  // handlers registered earlier are attached when they do
+  addBackend(name, backend) {
+    if (!backend || this.backends.has(name)) return;
+
+    this.backends.set(name, { backend, listeners: [] });
+    if (!this.activeName) this.activeName = name;
+
+    backend.setVolume(this.volume).catch(() => {});
+    if (backend.supportsPlaybackRate) backend.setPlaybackRate(this.playbackRate).catch(() => {});
+
+    this.eventHandlers.forEach((handlers, eventName) => {
+      handlers.forEach((handler) => this.attach(name, eventName, handler));
+    });
+  }
+
+  hasBackend(name) {
+    return this.backends.has(name);
+  }
+
+  get active() {
+    return this.backends.get(this.activeName)?.backend ?? null;
+  }
+
+  // Only the backend holding the current track may drive the UI
+  attach(name, eventName, handler) {
+    const entry = this.backends.get(name);
+    const listener = (...args) => {
+      if (this.activeName === name) handler(...args);
+    };
+    entry.backend.on(eventName, listener);
+    entry.listeners.push({ eventName, handler, listener });
+  }
+
+  async load(source, options = {}) {
+    const entry = this.backends.get(source?.backend);
+    if (!entry) {
+      throw new Error(`No player backend for source: ${source?.backend}`);
+    }
+
+    if (this.activeName && this.activeName !== source.backend) {
+      await this.active.pause().catch(() => {});
+    }
+
+    this.activeName = source.backend;
+    await entry.backend.load(source.url, options);
+  }
+
+  // Buffer an upcoming track; a no-op for backends that can't
+  preload(source) {
+    const backend = this.backends.get(source?.backend)?.backend;
+    if (typeof backend?.preload === "function") {
+      backend.preload(source.url);
+    }
+  }
+
+  async ensureReady() {
+    await this.active?.ensureReady();
+  }
+
+  async play() {
+    await this.active?.play();
+  }
+
+  async pause() {
+    await this.active?.pause();
+  }
+
+  async togglePlayPause() {
+    return this.active ? this.active.togglePlayPause() : false;
+  }
+
+  async isPaused() {
+    return this.active ? this.active.isPaused() : true;
+  }
+
+  async getDuration() {
+    return this.active ? this.active.getDuration() : 0;
+  }
+
+  async seekTo(milliseconds) {
+    await this.active?.seekTo(milliseconds);
+  }
+
+  async getPosition() {
+    return this.active ? this.active.getPosition() : 0;
+  }
+
+  // Volume and rate go to every backend so switching sources keeps them
+  async setVolume(volume) {
+    this.volume = volume;
+    await Promise.all(
+      [...this.backends.values()].map(({ backend }) => backend.setVolume(volume))
+    );
+  }
+
+  async getVolume() {
+    return this.active ? this.active.getVolume() : this.volume;
+  }
+
+  get supportsPlaybackRate() {
+    return Boolean(this.active?.supportsPlaybackRate);
+  }
+
+  async setPlaybackRate(rate) {
+    this.playbackRate = rate;
+    await Promise.all(
+      [...this.backends.values()]
+        .filter(({ backend }) => backend.supportsPlaybackRate)
+        .map(({ backend }) => backend.setPlaybackRate(rate))
+    );
+  }
+
+  async getPlaybackRate() {
+    return this.supportsPlaybackRate ? this.active.getPlaybackRate() : 1;
+  }
+
+  on(eventName, handler) {
+    if (!PLAYER_EVENTS.includes(eventName)) {
+      throw new Error(`Unknown player event: ${eventName}`);
+    }
+
+    if (!this.eventHandlers.has(eventName)) {
+      this.eventHandlers.set(eventName, []);
+    }
+    this.eventHandlers.get(eventName).push(handler);
+
+    this.backends.forEach((_, name) => this.attach(name, eventName, handler));
+  }
+
+  off(eventName, handler) {
+    const handlers = this.eventHandlers.get(eventName);
+    if (handlers) {
+      const index = handlers.indexOf(handler);
+      if (index > -1) handlers.splice(index, 1);
+    }
+
+    this.backends.forEach((entry) => {
+      entry.listeners = entry.listeners.filter((item) => {
+        if (item.eventName !== eventName || item.handler !== handler) return true;
+        entry.backend.off(eventName, item.listener);
+        return false;
+      });
+    });
+  }
+
+  cleanup() {
+    this.backends.forEach(({ backend }) => backend.cleanup());
+    this.backends.clear();
+    this.eventHandlers.clear();
+    this.activeName = null;
+  }
+}
@@ -1,9 +1,44 @@
 // ============================================
 // SOUNDCLOUD PLAYER (Async/Await Wrapper)
 // ============================================
+// The widget keeps one listener list per event and `unbind` clears all of
+// it, so the wrapper binds each event exactly once and fans out to its own
+// handler lists. If the widget errors or stops responding, the iframe is
+// reloaded and the current track restored (position and play state). Progress
+// is reported through the STATE event ({ state, attempt?, error? }); errors
+// are SoundCloudError instances with a `code` from SOUNDCLOUD_ERRORS.
 import { AUDIO } from './constants.js';
 import { normalizeSoundUrl } from './utils.js';
 
+// Events relayed from the widget; STATE is emitted by the wrapper itself
+const WIDGET_EVENTS = ["PLAY", "PAUSE", "FINISH", "PLAY_PROGRESS", "ERROR"];
+const PLAYER_EVENTS = [...WIDGET_EVENTS, "STATE"];
+
+export const SOUNDCLOUD_STATES = {
+  CONNECTING: "connecting",
+  READY: "ready",
+  RECOVERING: "recovering",
+  FAILED: "failed",
+};
+
+export const SOUNDCLOUD_ERRORS = {
+  API_UNAVAILABLE: "api-unavailable",
+  INIT_TIMEOUT: "init-timeout",
+  LOAD_FAILED: "load-failed",
+  LOAD_TIMEOUT: "load-timeout",
+  WIDGET_ERROR: "widget-error",
+};
+
+export class SoundCloudError extends Error {
+  constructor(code, message, options = {}) {
+    super(message, options);
+    this.name = "SoundCloudError";
+    this.code = code;
+  }
+}
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
 export class SoundCloudPlayer {
   constructor(iframe) {
     if (!iframe) {
@@ -13,25 +48,35 @@ export class SoundCloudPlayer {
     this.widget = null;
     this.isReady = false;
     this.readyPromise = null;
+    this.recovery = null;
+    this.recoveryCount = 0;       // restarts since playback last worked
+    this.state = null;
     this.eventHandlers = new Map();
+
+    // What to restore after a restart
+    this.currentUrl = null;
+    this.lastPosition = 0;
+    this.wasPlaying = false;
   }
 
-  // Initialize widget and wait for ready
+  // Initialize widget and wait for ready (single attempt)
   async initialize() {
     return new Promise((resolve, reject) => {
       const timeout = setTimeout(() => {
-        reject(new Error("SoundCloud Widget failed to initialize"));
+        reject(new SoundCloudError(SOUNDCLOUD_ERRORS.INIT_TIMEOUT, "SoundCloud Widget failed to initialize"));
       }, AUDIO.READY_TIMEOUT);
 
       // Check if SC is available
       if (typeof SC === "undefined") {
         clearTimeout(timeout);
-        reject(new Error("SoundCloud API not loaded"));
+        reject(new SoundCloudError(SOUNDCLOUD_ERRORS.API_UNAVAILABLE, "SoundCloud API not loaded"));
         return;
       }
 
       this.widget = SC.Widget(this.iframe);
+      this.bindWidgetEvents();
 
+      this.widget.unbind(SC.Widget.Events.READY);
       this.widget.bind(SC.Widget.Events.READY, () => {
         clearTimeout(timeout);
         this.isReady = true;
@@ -41,6 +86,138 @@ export class SoundCloudPlayer {
     });
   }
 
+  // One binding per widget event. SC.Widget returns the same instance for
+  // a reloaded iframe, so clear earlier bindings first.
+  bindWidgetEvents() {
+    WIDGET_EVENTS.forEach((eventName) => {
+      const scEvent = SC.Widget.Events[eventName];
+      this.widget.unbind(scEvent);
+      this.widget.bind(scEvent, (payload) => this.handleWidgetEvent(eventName, payload));
+    });
+  }
+
+  handleWidgetEvent(eventName, payload) {
+    switch (eventName) {
+      case "PLAY":
+        this.wasPlaying = true;
+        this.recoveryCount = 0;
+        break;
+      case "PAUSE":
+        this.wasPlaying = false;
+        break;
+      case "FINISH":
+        this.wasPlaying = false;
+        this.lastPosition = 0;
+        break;
+      case "PLAY_PROGRESS":
+        if (Number.isFinite(payload?.currentPosition)) this.lastPosition = payload.currentPosition;
+        break;
+      case "ERROR": {
+        const error = new SoundCloudError(SOUNDCLOUD_ERRORS.WIDGET_ERROR, "SoundCloud widget error", {
+          cause: payload,
+        });
+        this.emit("ERROR", error);
+        this.recover(error);
+        return;
+      }
+      default:
+        break;
+    }
+
+    this.emit(eventName, payload);
+  }
+
+  emit(eventName, payload) {
+    const handlers = this.eventHandlers.get(eventName);
+    if (!handlers) return;
+
+    // Copy so handlers can unsubscribe while being called
+    [...handlers].forEach((handler) => {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error(`SoundCloud ${eventName} handler failed:`, error);
+      }
+    });
+  }
+
+  setState(state, details = {}) {
+    this.state = state;
+    this.emit("STATE", { state, ...details });
+  }
+
+  // Initialize with retries, reloading the iframe between attempts
+  async connect({ reload = false, cause = null } = {}) {
+    let lastError = cause;
+
+    for (let attempt = 0; attempt <= AUDIO.WIDGET_RECOVERY_ATTEMPTS; attempt++) {
+      if (attempt > 0 || reload) {
+        this.setState(SOUNDCLOUD_STATES.RECOVERING, { attempt: attempt + 1, error: lastError });
+        await delay(AUDIO.WIDGET_RECOVERY_DELAY * (attempt + 1));
+        this.reloadIframe();
+      } else {
+        this.setState(SOUNDCLOUD_STATES.CONNECTING);
+      }
+
+      try {
+        await this.initialize();
+        this.setState(SOUNDCLOUD_STATES.READY);
+        return;
+      } catch (error) {
+        lastError = error;
+        // No point reloading the iframe when the API script itself is missing
+        if (error.code === SOUNDCLOUD_ERRORS.API_UNAVAILABLE) break;
+      }
+    }
+
+    this.setState(SOUNDCLOUD_STATES.FAILED, { error: lastError });
+    throw lastError;
+  }
+
+  reloadIframe() {
+    this.isReady = false;
+    const src = this.currentUrl
+      ? createWidgetSrc(this.currentUrl, false)
+      : this.iframe.getAttribute("src");
+    if (src) this.iframe.setAttribute("src", src);
+  }
+
+  // Restart the widget and restore the current track. Concurrent failures
+  // share one recovery; resolves false once the attempts are used up.
+  recover(cause) {
+    if (!this.recovery) {
+      this.recovery = this.restart(cause).finally(() => {
+        this.recovery = null;
+      });
+    }
+    return this.recovery;
+  }
+
+  async restart(cause) {
+    if (this.recoveryCount >= AUDIO.WIDGET_RECOVERY_ATTEMPTS) {
+      this.setState(SOUNDCLOUD_STATES.FAILED, { error: cause });
+      return false;
+    }
+    this.recoveryCount++;
+
+    const { currentUrl, lastPosition, wasPlaying } = this;
+    this.isReady = false;
+    try {
+      this.readyPromise = this.connect({ reload: true, cause });
+      await this.ensureReady();
+
+      if (currentUrl) {
+        console.log(`🔄 Restoring SoundCloud track at ${Math.round(lastPosition / 1000)}s`);
+        await this.loadWidget(currentUrl, { autoPlay: wasPlaying });
+        if (lastPosition > 0) this.widget.seekTo(lastPosition);
+      }
+      return true;
+    } catch (error) {
+      console.warn("⚠️ SoundCloud recovery failed:", error);
+      return false;
+    }
+  }
+
   // Promise-based play
   async play() {
     await this.ensureReady();
@@ -79,20 +256,38 @@ export class SoundCloudPlayer {
     });
   }
 
-  // Load track
+  // Load track; a failed or stalled load restarts the widget once more
   async load(url, options = {}) {
-    await this.ensureReady();
     const sanitized = normalizeSoundUrl(url);
     if (!sanitized) {
-      throw new Error(`Invalid SoundCloud URL: ${url}`);
+      throw new SoundCloudError(SOUNDCLOUD_ERRORS.LOAD_FAILED, `Invalid SoundCloud URL: ${url}`);
+    }
+
+    this.currentUrl = sanitized;
+    this.lastPosition = 0;
+    this.wasPlaying = Boolean(options.autoPlay);
+
+    try {
+      await this.loadWidget(sanitized, options);
+    } catch (error) {
+      if (!(await this.recover(error))) throw error;
     }
+  }
+
+  async loadWidget(url, options = {}) {
+    await this.ensureReady();
 
     return new Promise((resolve, reject) => {
-      this.widget.load(sanitized, {
+      const timeout = setTimeout(() => {
+        reject(new SoundCloudError(SOUNDCLOUD_ERRORS.LOAD_TIMEOUT, "SoundCloud track load timed out"));
+      }, AUDIO.READY_TIMEOUT);
+
+      this.widget.load(url, {
         auto_play: options.autoPlay || false,
         callback: (error) => {
+          clearTimeout(timeout);
           if (error) {
-            reject(new Error(`Failed to load track: ${error}`));
+            reject(new SoundCloudError(SOUNDCLOUD_ERRORS.LOAD_FAILED, `Failed to load track: ${error}`));
           } else {
             resolve();
           }
@@ -100,7 +295,6 @@ export class SoundCloudPlayer {
       });
     });
   }
-
   // Get duration
   async getDuration() {
     await this.ensureReady();
@@ -126,70 +320,83 @@ export class SoundCloudPlayer {
     });
   }
 
-  // Bind event with cleanup tracking
-  on(eventName, handler) {
-    if (!this.widget) {
-      throw new Error("Widget not initialized");
-    }
+  // Volume is 0-100, as the widget expects
+  async setVolume(volume) {
+    await this.ensureReady();
+    return new Promise((resolve) => {
+      this.widget.setVolume(Math.min(100, Math.max(0, volume)));
+      resolve();
+    });
+  }
 
-    const scEvent = SC.Widget.Events[eventName];
-    if (!scEvent) {
+  async getVolume() {
+    await this.ensureReady();
+    return new Promise((resolve) => {
+      this.widget.getVolume(resolve);
+    });
+  }
+
+  // The widget always streams at normal speed
+  get supportsPlaybackRate() {
+    return false;
+  }
+
+  async setPlaybackRate() {}
+
+  async getPlaybackRate() {
+    return 1;
+  }
+
+  // Handlers can be added before the widget exists; the widget bindings
+  // made in initialize() dispatch to them
+  on(eventName, handler) {
+    if (!PLAYER_EVENTS.includes(eventName)) {
       throw new Error(`Unknown SoundCloud event: ${eventName}`);
     }
 
-    this.widget.bind(scEvent, handler);
-
-    // Track for cleanup
     if (!this.eventHandlers.has(eventName)) {
       this.eventHandlers.set(eventName, []);
     }
     this.eventHandlers.get(eventName).push(handler);
   }
 
-  // Remove event handler
+  // Remove one handler; other listeners for the event keep working
   off(eventName, handler) {
-    if (!this.widget) return;
-
-    const scEvent = SC.Widget.Events[eventName];
-    if (!scEvent) return;
-
-    this.widget.unbind(scEvent);
-
-    // Remove from tracking
     const handlers = this.eventHandlers.get(eventName);
-    if (handlers) {
-      const index = handlers.indexOf(handler);
-      if (index > -1) {
-        handlers.splice(index, 1);
-      }
+    if (!handlers) return;
+
+    const index = handlers.indexOf(handler);
+    if (index > -1) {
+      handlers.splice(index, 1);
     }
   }
 
   // Cleanup all event handlers
   cleanup() {
-    if (!this.widget) return;
-
-    this.eventHandlers.forEach((handlers, eventName) => {
-      const scEvent = SC.Widget.Events[eventName];
-      if (scEvent) {
-        this.widget.unbind(scEvent);
-      }
-    });
+    if (this.widget && typeof SC !== "undefined") {
+      [...WIDGET_EVENTS, "READY"].forEach((eventName) => {
+        this.widget.unbind(SC.Widget.Events[eventName]);
+      });
+    }
 
     this.eventHandlers.clear();
     console.log("✅ SoundCloud player cleaned up");
   }
 
-  // Ensure widget is ready before operation
+  // Ensure widget is ready before operation. A failed attempt is not
+  // cached, so the next call tries again.
   async ensureReady() {
     if (this.isReady) return;
 
-    if (this.readyPromise) {
-      return this.readyPromise;
+    if (!this.readyPromise) {
+      this.readyPromise = this.connect();
     }
 
-    this.readyPromise = this.initialize();
-    return this.readyPromise;
+    try {
+      await this.readyPromise;
+    } finally {
+      this.readyPromise = null;
+    }
   }
 }
 
@@ -223,7 +430,7 @@ export async function waitForSoundCloudAPI() {
   }
 
   if (typeof SC === "undefined") {
-    throw new Error("SoundCloud API failed to load after retries");
+    throw new SoundCloudError(SOUNDCLOUD_ERRORS.API_UNAVAILABLE, "SoundCloud API failed to load after retries");
   }
 
   return true;
@@ -19,6 +19,13 @@ const STARFIELD_CONFIG = {
   maxOpacity: 0.85,
 };
 
+// How strongly audio levels (0-1 per band) push the ambient animation
+const REACTIVE_CONFIG = {
+  twinkleBoost: 0.9,            // treble -> star brightness
+  driftBoost: 2.4,              // bass -> drift speed multiplier
+  cloudBoost: 1.4,              // mids -> nebula opacity multiplier
+};
+
 const CLOUD_CONFIG = {
   layers: 4,
   minRadiusFactor: 0.45,
@@ -30,7 +37,8 @@ const CLOUD_CONFIG = {
   tintLightness: 40,
 };
 
-const prefersReducedMotion = (() => {
+// Shared with other motion effects so they all honour the same preference
+export const prefersReducedMotion = (() => {
   if (typeof window === "undefined" || typeof window.matchMedia !== "function") {
     return false;
   }
@@ -81,6 +89,7 @@ export function createStarfieldController(canvas) {
   let isRunning = false;
   let lastTimestamp = 0;
   let cloudLayers = [];
+  let levelSource = null;
 
   canvas.style.display = "block";
 
@@ -150,16 +159,22 @@ export function createStarfieldController(canvas) {
     const delta = lastTimestamp ? timestamp - lastTimestamp : 16;
     lastTimestamp = timestamp;
 
+    const levels = levelSource ? levelSource(timestamp) : null;
+    const bass = levels?.bass ?? 0;
+    const mid = levels?.mid ?? 0;
+    const treble = levels?.treble ?? 0;
+
     context.clearRect(0, 0, width, height);
-    update(delta);
+    update(delta * (1 + bass * REACTIVE_CONFIG.driftBoost));
 
-    drawClouds(timestamp);
+    drawClouds(timestamp, 1 + mid * REACTIVE_CONFIG.cloudBoost);
 
+    const twinkleGain = 1 + treble * REACTIVE_CONFIG.twinkleBoost;
     context.globalCompositeOperation = "lighter";
     for (let i = 0; i < stars.length; i += 1) {
       const star = stars[i];
       const twinkle = (Math.sin(timestamp * 0.001 * star.twinkleSpeed + star.twinkleOffset) + 1) / 2;
-      const opacity = 0.35 + twinkle * STARFIELD_CONFIG.maxOpacity * 0.65;
+      const opacity = Math.min(1, 0.35 + twinkle * STARFIELD_CONFIG.maxOpacity * 0.65 * twinkleGain);
       context.fillStyle = `hsla(${star.hue}, ${STARFIELD_CONFIG.saturation}%, ${star.lightness}%, ${opacity.toFixed(3)})`;
       context.beginPath();
       context.arc(star.x, star.y, star.radius, 0, Math.PI * 2);
@@ -170,7 +185,7 @@ export function createStarfieldController(canvas) {
     animationFrame = window.requestAnimationFrame(draw);
   }
 
-  function drawClouds(timestamp) {
+  function drawClouds(timestamp, opacityGain = 1) {
     if (!cloudLayers.length) return;
 
     context.save();
@@ -185,7 +200,7 @@ export function createStarfieldController(canvas) {
       const radius = layer.radius;
 
       const gradient = context.createRadialGradient(x, y, radius * 0.1, x, y, radius);
-      gradient.addColorStop(0, `hsla(${CLOUD_CONFIG.tintHue}, ${CLOUD_CONFIG.tintSaturation}%, ${CLOUD_CONFIG.tintLightness}%, ${layer.opacity})`);
+      gradient.addColorStop(0, `hsla(${CLOUD_CONFIG.tintHue}, ${CLOUD_CONFIG.tintSaturation}%, ${CLOUD_CONFIG.tintLightness}%, ${Math.min(1, layer.opacity * opacityGain)})`);
       gradient.addColorStop(1, "rgba(0, 0, 0, 0)");
 
       context.fillStyle = gradient;
@@ -214,15 +229,22 @@ export function createStarfieldController(canvas) {
     }
   }
 
+  // `source(timestamp)` returns { bass, mid, treble } in 0-1, or null
+  function setLevelSource(source) {
+    levelSource = typeof source === "function" ? source : null;
+  }
+
   function destroy() {
     stop();
     stars = [];
+    levelSource = null;
   }
 
   return {
     start,
     stop,
     resize: resizeCanvas,
+    setLevelSource,
     destroy,
   };
 }
@@ -0,0 +1,94 @@
+// ============================================
+// URL STATE (deep links & history)
+// ============================================
+// Mirrors the album (when the catalog has several), the layout, the selected
+// track and an optional playback position into the query string, e.g.
+// ?album=constellations&layout=tempo-spiral&track=meteor&t=92
+// Unrelated parameters (such as edit=1) are left untouched.
+
+const PARAMS = {
+  ALBUM: 'album',
+  LAYOUT: 'layout',
+  TRACK: 'track',
+  TIME: 't',
+};
+
+// Accepts "92", "1:32", "1:02:03" and "1m32s"; returns seconds or null
+export function parseTimestamp(value) {
+  if (value == null) return null;
+  const raw = String(value).trim();
+  if (!raw) return null;
+
+  if (/^\d+(\.\d+)?$/.test(raw)) return Number(raw);
+
+  if (/^\d+(:\d{1,2}){1,2}$/.test(raw)) {
+    return raw.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+  }
+
+  const match = raw.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/i);
+  if (match && (match[1] || match[2] || match[3])) {
+    const [, hours = 0, minutes = 0, seconds = 0] = match;
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+  }
+
+  return null;
+}
+
+export function readUrlState(location = window.location) {
+  const params = new URLSearchParams(location.search);
+  return {
+    albumId: params.get(PARAMS.ALBUM) || null,
+    layout: params.get(PARAMS.LAYOUT) || null,
+    trackId: params.get(PARAMS.TRACK) || null,
+    time: parseTimestamp(params.get(PARAMS.TIME)),
+  };
+}
+
+function buildUrl({ albumId, layout, trackId, time }) {
+  const url = new URL(window.location.href);
+  const { searchParams } = url;
+
+  const assign = (key, value) => {
+    if (value == null || value === '') {
+      searchParams.delete(key);
+    } else {
+      searchParams.set(key, String(value));
+    }
+  };
+
+  assign(PARAMS.ALBUM, albumId);
+  assign(PARAMS.LAYOUT, layout);
+  assign(PARAMS.TRACK, trackId);
+  assign(PARAMS.TIME, Number.isFinite(time) && time > 0 ? Math.floor(time) : null);
+
+  return url;
+}
+
+export function writeUrlState(urlState, { replace = false } = {}) {
+  if (typeof window === 'undefined' || !window.history) return;
+
+  const url = buildUrl(urlState);
+  if (url.href === window.location.href) return;
+
+  const historyState = {
+    albumId: urlState.albumId ?? null,
+    layout: urlState.layout ?? null,
+    trackId: urlState.trackId ?? null,
+  };
+
+  try {
+    if (replace) {
+      window.history.replaceState(historyState, '', url);
+    } else {
+      window.history.pushState(historyState, '', url);
+    }
+  } catch (error) {
+    console.warn('⚠️ Unable to update URL state:', error);
+  }
+}
+
+export function onUrlStateChange(handler) {
+  const listener = () => handler(readUrlState());
+  window.addEventListener('popstate', listener);
+  return () => window.removeEventListener('popstate', listener);
+}
@@ -68,23 +68,6 @@ export function pseudoRandom(seed) {
   };
 }
 
-// Key Parsing
-export function extractKeyRoot(key) {
-  const match = key.match(/^([A-G])([♭#])?/);
-  if (!match) return key;
-  const base = match[1];
-  const accidental = match[2];
-  if (accidental === "#") return `${base}♯`;
-  if (accidental === "♭") {
-    const flats = {
-      B: "A♯", E: "D♯", A: "G♯", D: "C♯",
-      G: "F♯", C: "B", F: "E",
-    };
-    return flats[base] || base;
-  }
-  return base;
-}
-
 // URL Normalization
 export function normalizeSoundUrl(identifier) {
   if (identifier == null) return null;
@@ -103,6 +86,20 @@ export function normalizeSoundUrl(identifier) {
   }
 }
 
+// Self-hosted audio: absolute URLs or paths relative to the page
+export function normalizeAudioUrl(path) {
+  if (path == null) return null;
+  const raw = String(path).trim();
+  if (!raw) return null;
+
+  try {
+    const base = typeof document !== "undefined" ? document.baseURI : undefined;
+    return new URL(raw, base).href;
+  } catch {
+    return null;
+  }
+}
+
 // DOM Utilities
 export function createSVGElement(tag) {
   return document.createElementNS("http://www.w3.org/2000/svg", tag);
@@ -0,0 +1,146 @@
+// ============================================
+// VALIDATION OVERLAY (development)
+// ============================================
+// Lists the problems validateAlbum() found in the loaded album, rings the
+// offending stars and selects a track when its error is clicked. On by
+// default on localhost; ?validate=1 turns it on anywhere, ?validate=0 off.
+// Stays hidden while the album is clean.
+import { getNode } from './dom-cache.js';
+import { createSVGElement } from './utils.js';
+
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+const WARNING_RING_SCALE = 1.15;    // relative to the node's halo
+
+export function isValidationOverlayRequested(location = window.location) {
+  const flag = new URLSearchParams(location.search).get('validate');
+  if (flag === '1' || flag === 'true') return true;
+  if (flag === '0' || flag === 'false') return false;
+  return LOCAL_HOSTNAMES.includes(location.hostname) || location.hostname.endsWith('.localhost');
+}
+
+function createOverlayPanel() {
+  const panel = document.createElement('aside');
+  panel.className = 'validation-overlay';
+  panel.setAttribute('aria-label', 'Album validation');
+  panel.hidden = true;
+  panel.innerHTML = `
+    <div class="validation-overlay__header">
+      <span class="validation-overlay__label">Album issues</span>
+      <span class="validation-overlay__count"></span>
+      <button type="button" class="validation-overlay__toggle" data-action="toggle" aria-expanded="true">Hide</button>
+    </div>
+    <ol class="validation-overlay__list"></ol>
+  `;
+  document.body.appendChild(panel);
+  return panel;
+}
+
+// One entry per error, tied to a track when the error points at one
+function describeErrors(errors, tracks) {
+  return errors.map(({ message, trackIndex }) => {
+    const track = trackIndex !== null ? tracks[trackIndex] : null;
+    return { message, trackId: track?.id ?? null };
+  });
+}
+
+export function createValidationOverlay({ onSelectTrack } = {}) {
+  const panel = createOverlayPanel();
+  const count = panel.querySelector('.validation-overlay__count');
+  const list = panel.querySelector('.validation-overlay__list');
+  const toggle = panel.querySelector('.validation-overlay__toggle');
+
+  let rings = [];
+
+  function clearRings() {
+    rings.forEach(({ group, ring }) => {
+      ring.remove();
+      group.classList.remove('has-validation-error');
+    });
+    rings = [];
+  }
+
+  function addRing(trackId, messages) {
+    const nodeData = getNode(trackId);
+    if (!nodeData) return;
+
+    const { group, ring: halo } = nodeData;
+    const ring = createSVGElement('circle');
+    ring.classList.add('track-node__warning');
+    ring.setAttribute('r', Number(halo.getAttribute('r')) * WARNING_RING_SCALE);
+
+    const title = createSVGElement('title');
+    title.textContent = messages.join('\n');
+    ring.appendChild(title);
+
+    group.appendChild(ring);
+    group.classList.add('has-validation-error');
+    rings.push({ group, ring });
+  }
+
+  function renderList(entries) {
+    list.textContent = '';
+    entries.forEach(({ message, trackId }) => {
+      const item = document.createElement('li');
+      if (trackId) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'validation-overlay__item';
+        button.dataset.trackId = trackId;
+        button.textContent = message;
+        item.appendChild(button);
+      } else {
+        item.className = 'validation-overlay__item';
+        item.textContent = message;
+      }
+      list.appendChild(item);
+    });
+  }
+
+  // Call after the album's nodes are rendered; `tracks` in file order
+  function update(errors, tracks) {
+    const entries = describeErrors(errors, tracks);
+    clearRings();
+    renderList(entries);
+
+    const byTrack = new Map();
+    entries.forEach(({ message, trackId }) => {
+      if (!trackId) return;
+      if (!byTrack.has(trackId)) byTrack.set(trackId, []);
+      byTrack.get(trackId).push(message);
+    });
+    byTrack.forEach((messages, trackId) => addRing(trackId, messages));
+
+    count.textContent = String(entries.length);
+    panel.hidden = entries.length === 0;
+  }
+
+  function setCollapsed(collapsed) {
+    panel.classList.toggle('is-collapsed', collapsed);
+    list.hidden = collapsed;
+    toggle.textContent = collapsed ? 'Show' : 'Hide';
+    toggle.setAttribute('aria-expanded', String(!collapsed));
+  }
+
+  const onPanelClick = (event) => {
+    if (event.target.closest?.('[data-action="toggle"]')) {
+      setCollapsed(!panel.classList.contains('is-collapsed'));
+      return;
+    }
+    const trackId = event.target.closest?.('[data-track-id]')?.dataset.trackId;
+    if (trackId) onSelectTrack?.(trackId);
+  };
+
+  function destroy() {
+    clearRings();
+    panel.removeEventListener('click', onPanelClick);
+    panel.remove();
+  }
+
+  panel.addEventListener('click', onPanelClick);
+  console.log('🩺 Validation overlay enabled');
+
+  return {
+    update,
+    destroy,
+  };
+}
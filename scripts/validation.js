@@ -1,58 +1,60 @@
 // ============================================
 // DATA VALIDATION
 // ============================================
-import { VALIDATION } from './constants.js';
-
-const TRACK_SCHEMA = {
-  id: { type: 'string', required: true },
-  title: { type: 'string', required: true },
-  trackNumber: { type: 'number', required: true },
-  duration: { type: 'string', required: false },
-  bpm: { type: 'number', min: VALIDATION.MIN_BPM, max: VALIDATION.MAX_BPM, required: true },
-  key: { type: 'string', pattern: VALIDATION.KEY_PATTERN, required: true },
-  soundcloudId: { type: 'string', required: true },
-  focus: { type: 'string', required: false },
-  focusValue: { type: 'number', min: 0, max: 1, required: false },
-  pulse: { type: 'string', required: false },
-  pulseValue: { type: 'number', min: 0, max: 1, required: false },
+import { CATALOG } from './constants.js';
+import { ALBUM_FIELDS, ALBUM_SCHEMA_VERSION, TRACK_FIELDS } from './album-schema.js';
+import { parseKey } from './key-parser.js';
+
+// Fields read by a parser rather than matched against their schema pattern,
+// so the error can say what is accepted
+const FIELD_PARSERS = {
+  key: { parse: parseKey, examples: '"F♯ Min", "Bb Maj", "G#m" or "D Dorian"' },
 };
 
-export function validateTrack(track, index) {
-  const errors = [];
+// Errors say where they point as well as what is wrong, so the dev overlay
+// and tools/lint-album.mjs never have to parse `message`:
+// { message, trackIndex, field, layoutId, patternIndex }, null when unknown
+function albumError(message, { trackIndex = null, field = null, layoutId = null, patternIndex = null } = {}) {
+  return { message, trackIndex, field, layoutId, patternIndex };
+}
 
-  if (!track || typeof track !== 'object') {
-    errors.push(`Track ${index}: Invalid track object`);
-    return errors;
-  }
+// Checks `object` against field rules from album-schema.js
+function validateFields(object, fields, label, location = {}) {
+  const errors = [];
 
-  for (const [field, rules] of Object.entries(TRACK_SCHEMA)) {
-    const value = track[field];
+  for (const [field, rules] of Object.entries(fields)) {
+    const value = object[field];
 
     if (rules.required && (value === undefined || value === null || value === '')) {
-      errors.push(`Track ${index} (${track.title || 'Unknown'}): Missing required field "${field}"`);
+      errors.push(albumError(`${label}: Missing required field "${field}"`, { ...location, field }));
       continue;
     }
 
     if (value !== undefined && value !== null && value !== '') {
       if (rules.type && typeof value !== rules.type) {
-        errors.push(`Track ${index} (${track.title}): "${field}" must be ${rules.type}, got ${typeof value}`);
+        errors.push(albumError(`${label}: "${field}" must be ${rules.type}, got ${typeof value}`, { ...location, field }));
       }
 
       if (rules.type === 'number') {
         if (!Number.isFinite(value)) {
-          errors.push(`Track ${index} (${track.title}): "${field}" must be a finite number`);
+          errors.push(albumError(`${label}: "${field}" must be a finite number`, { ...location, field }));
         } else {
           if (rules.min !== undefined && value < rules.min) {
-            errors.push(`Track ${index} (${track.title}): "${field}" must be >= ${rules.min}`);
+            errors.push(albumError(`${label}: "${field}" must be >= ${rules.min}`, { ...location, field }));
           }
           if (rules.max !== undefined && value > rules.max) {
-            errors.push(`Track ${index} (${track.title}): "${field}" must be <= ${rules.max}`);
+            errors.push(albumError(`${label}: "${field}" must be <= ${rules.max}`, { ...location, field }));
           }
         }
       }
 
-      if (rules.pattern && !rules.pattern.test(String(value))) {
-        errors.push(`Track ${index} (${track.title}): "${field}" has invalid format (expected pattern: ${rules.pattern})`);
+      const parser = FIELD_PARSERS[field];
+      if (parser) {
+        if (typeof value === 'string' && !parser.parse(value)) {
+          errors.push(albumError(`${label}: "${field}" has unrecognised value "${value}" (expected e.g. ${parser.examples})`, { ...location, field }));
+        }
+      } else if (rules.pattern && !rules.pattern.test(String(value))) {
+        errors.push(albumError(`${label}: "${field}" has invalid format (expected pattern: ${rules.pattern})`, { ...location, field }));
       }
     }
   }
@@ -60,7 +62,61 @@ export function validateTrack(track, index) {
   return errors;
 }
 
-export function validateAlbum(album) {
+export function validateTrack(track, index) {
+  const errors = [];
+  const location = { trackIndex: index - 1 };
+
+  if (!track || typeof track !== 'object') {
+    errors.push(albumError(`Track ${index}: Invalid track object`, location));
+    return errors;
+  }
+
+  errors.push(...validateFields(track, TRACK_FIELDS, `Track ${index} (${track.title || 'Unknown'})`, location));
+
+  if (track.peaks !== undefined) {
+    const validPeaks = Array.isArray(track.peaks)
+      && track.peaks.every((peak) => Number.isFinite(peak) && peak >= 0 && peak <= 1);
+    if (!validPeaks) {
+      errors.push(albumError(
+        `Track ${index} (${track.title}): "peaks" must be an array of numbers between 0 and 1`,
+        { ...location, field: 'peaks' }
+      ));
+    }
+  }
+
+  if (!track.soundcloudId && !track.audioUrl) {
+    errors.push(albumError(
+      `Track ${index} (${track.title || 'Unknown'}): Needs a "soundcloudId" or an "audioUrl" to play`,
+      location
+    ));
+  }
+
+  return errors;
+}
+
+// Album-level metadata; run migrateAlbum() first so older files pass
+export function validateAlbumMetadata(album) {
+  const errors = validateFields(album, ALBUM_FIELDS, 'Album');
+
+  const version = album.schemaVersion;
+  if (Number.isInteger(version) && version > ALBUM_SCHEMA_VERSION) {
+    errors.push(albumError(
+      `Album: "schemaVersion" ${version} is newer than this site supports (${ALBUM_SCHEMA_VERSION})`,
+      { field: 'schemaVersion' }
+    ));
+  } else if (Number.isInteger(version) && version < ALBUM_SCHEMA_VERSION) {
+    errors.push(albumError(
+      `Album: "schemaVersion" ${version} is outdated (current is ${ALBUM_SCHEMA_VERSION})`,
+      { field: 'schemaVersion' }
+    ));
+  }
+
+  return errors;
+}
+
+// Every problem in `album` as albumError() entries, without logging;
+// validateAlbum() and tools/lint-album.mjs both build on it
+export function collectAlbumErrors(album) {
   const errors = [];
 
   if (!album) {
@@ -75,6 +131,8 @@ export function validateAlbum(album) {
     throw new Error('Album must have at least one track');
   }
 
+  errors.push(...validateAlbumMetadata(album));
+
   // Validate each track
   album.tracks.forEach((track, i) => {
     errors.push(...validateTrack(track, i + 1));
@@ -85,7 +143,7 @@ export function validateAlbum(album) {
   album.tracks.forEach((track, i) => {
     if (track.id) {
       if (ids.has(track.id)) {
-        errors.push(`Track ${i + 1} (${track.title}): Duplicate ID "${track.id}"`);
+        errors.push(albumError(`Track ${i + 1} (${track.title}): Duplicate ID "${track.id}"`, { trackIndex: i, field: 'id' }));
       }
       ids.add(track.id);
     }
@@ -96,14 +154,26 @@ export function validateAlbum(album) {
   album.tracks.forEach((track, i) => {
     if (track.trackNumber) {
       if (trackNumbers.has(track.trackNumber)) {
-        errors.push(`Track ${i + 1} (${track.title}): Duplicate track number ${track.trackNumber}`);
+        errors.push(albumError(
+          `Track ${i + 1} (${track.title}): Duplicate track number ${track.trackNumber}`,
+          { trackIndex: i, field: 'trackNumber' }
+        ));
       }
       trackNumbers.add(track.trackNumber);
     }
   });
 
+  // Validate optional per-layout overrides
+  errors.push(...validateLayoutOverrides(album.layouts, ids));
+
+  return errors;
+}
+
+export function validateAlbum(album) {
+  const errors = collectAlbumErrors(album);
+
   if (errors.length > 0) {
-    console.warn('⚠️ Album validation issues found:', errors);
+    console.warn('⚠️ Album validation issues found:', errors.map((error) => error.message));
   } else {
     console.log('✅ Album data validation passed');
   }
@@ -111,6 +181,172 @@ export function validateAlbum(album) {
   return errors;
 }
 
+export function validateLayoutOverrides(layouts, trackIds) {
+  const errors = [];
+  if (layouts === undefined || layouts === null) return errors;
+
+  if (typeof layouts !== 'object' || Array.isArray(layouts)) {
+    errors.push(albumError('Album "layouts" must be an object keyed by layout id', { field: 'layouts' }));
+    return errors;
+  }
+
+  const checkTrackId = (layoutId, section, trackId) => {
+    if (!trackIds.has(trackId)) {
+      errors.push(albumError(`Layout "${layoutId}": ${section} references unknown track "${trackId}"`, { layoutId }));
+    }
+  };
+
+  for (const [layoutId, overrides] of Object.entries(layouts)) {
+    if (!overrides || typeof overrides !== 'object') {
+      errors.push(albumError(`Layout "${layoutId}": overrides must be an object`, { layoutId }));
+      continue;
+    }
+
+    for (const [trackId, point] of Object.entries(overrides.positions || {})) {
+      checkTrackId(layoutId, 'positions', trackId);
+      if (!point || !Number.isFinite(point.x) || !Number.isFinite(point.y)) {
+        errors.push(albumError(`Layout "${layoutId}": position for "${trackId}" needs numeric x and y`, { layoutId }));
+      } else if (point.x < 0 || point.x > 1 || point.y < 0 || point.y > 1) {
+        errors.push(albumError(`Layout "${layoutId}": position for "${trackId}" must be within 0..1`, { layoutId }));
+      }
+    }
+
+    for (const [trackId, offset] of Object.entries(overrides.offsets || {})) {
+      checkTrackId(layoutId, 'offsets', trackId);
+      if (!offset || (!Number.isFinite(offset.dx) && !Number.isFinite(offset.dy))) {
+        errors.push(albumError(`Layout "${layoutId}": offset for "${trackId}" needs numeric dx or dy`, { layoutId }));
+      }
+    }
+
+    if (overrides.patterns !== undefined) {
+      errors.push(...validateConstellationPatterns(overrides.patterns, trackIds, layoutId));
+    }
+
+    if (overrides.links !== undefined) {
+      if (!Array.isArray(overrides.links)) {
+        errors.push(albumError(`Layout "${layoutId}": links must be an array of [fromId, toId] pairs`, { layoutId }));
+      } else {
+        overrides.links.forEach((link, i) => {
+          if (!Array.isArray(link) || link.length !== 2) {
+            errors.push(albumError(`Layout "${layoutId}": link ${i + 1} must be a [fromId, toId] pair`, { layoutId }));
+            return;
+          }
+          link.forEach((trackId) => checkTrackId(layoutId, 'links', trackId));
+        });
+      }
+    }
+  }
+
+  return errors;
+}
+
+export function validateConstellationPatterns(patterns, trackIds, layoutId = 'constellations') {
+  const errors = [];
+
+  if (!Array.isArray(patterns)) {
+    errors.push(albumError(`Layout "${layoutId}": patterns must be an array`, { layoutId }));
+    return errors;
+  }
+
+  const claimed = new Map();
+
+  patterns.forEach((pattern, i) => {
+    const label = `Layout "${layoutId}" pattern ${i + 1} (${pattern?.name || 'Unnamed'})`;
+    const location = { layoutId, patternIndex: i };
+
+    if (!pattern || typeof pattern !== 'object') {
+      errors.push(albumError(`${label}: Invalid pattern object`, location));
+      return;
+    }
+
+    if (typeof pattern.name !== 'string' || !pattern.name.trim()) {
+      errors.push(albumError(`${label}: Missing required field "name"`, location));
+    }
+
+    if (!Array.isArray(pattern.tracks) || !Array.isArray(pattern.points)) {
+      errors.push(albumError(`${label}: "tracks" and "points" must be arrays`, location));
+      return;
+    }
+
+    if (pattern.tracks.length !== pattern.points.length) {
+      errors.push(albumError(`${label}: has ${pattern.tracks.length} tracks but ${pattern.points.length} points`, location));
+    }
+
+    pattern.tracks.forEach((trackId) => {
+      if (!trackIds.has(trackId)) {
+        errors.push(albumError(`${label}: references unknown track "${trackId}"`, location));
+      } else if (claimed.has(trackId)) {
+        errors.push(albumError(`${label}: track "${trackId}" already belongs to ${claimed.get(trackId)}`, location));
+      } else {
+        claimed.set(trackId, pattern.name || `pattern ${i + 1}`);
+      }
+    });
+
+    pattern.points.forEach((point, p) => {
+      if (!point || !Number.isFinite(point.x) || !Number.isFinite(point.y)) {
+        errors.push(albumError(`${label}: point ${p + 1} needs numeric x and y`, location));
+      } else if (point.x < 0 || point.x > 1 || point.y < 0 || point.y > 1) {
+        errors.push(albumError(`${label}: point ${p + 1} must be within 0..1`, location));
+      }
+    });
+
+    if (pattern.links !== undefined) {
+      if (!Array.isArray(pattern.links)) {
+        errors.push(albumError(`${label}: links must be an array of [fromIndex, toIndex] pairs`, location));
+      } else {
+        pattern.links.forEach((link, l) => {
+          const valid = Array.isArray(link) &&
+            link.length === 2 &&
+            link.every((index) => Number.isInteger(index) && index >= 0 && index < pattern.points.length);
+          if (!valid) {
+            errors.push(albumError(`${label}: link ${l + 1} must be a pair of point indexes`, location));
+          }
+        });
+      }
+    }
+  });
+
+  return errors;
+}
+
+// data/catalog.json: { albums: [{ id, url, title?, band? }, ...] }.
+// Errors are { message, albumIndex }, albumIndex null for the whole file.
+export function validateCatalog(catalog) {
+  const errors = [];
+
+  if (!catalog || !Array.isArray(catalog.albums) || catalog.albums.length === 0) {
+    errors.push({ message: 'Catalog must have a non-empty "albums" array', albumIndex: null });
+    return errors;
+  }
+
+  const ids = new Set();
+  catalog.albums.forEach((entry, i) => {
+    const label = `Album ${i + 1}`;
+    const report = (message) => errors.push({ message, albumIndex: i });
+    if (!entry || typeof entry !== 'object') {
+      report(`${label}: Invalid catalog entry`);
+      return;
+    }
+    if (typeof entry.id !== 'string' || !CATALOG.ID_PATTERN.test(entry.id)) {
+      report(`${label}: "id" must be lowercase letters, digits and dashes`);
+    } else if (ids.has(entry.id)) {
+      report(`${label}: Duplicate ID "${entry.id}"`);
+    } else {
+      ids.add(entry.id);
+    }
+    if (typeof entry.url !== 'string' || !entry.url) {
+      report(`${label} (${entry.id}): Missing "url" to the album JSON`);
+    }
+    ['title', 'band'].forEach((field) => {
+      if (entry[field] !== undefined && typeof entry[field] !== 'string') {
+        report(`${label} (${entry.id}): "${field}" must be string`);
+      }
+    });
+  });
+
+  return errors;
+}
+
 export function sanitizeTrack(track) {
   // Ensure required fields have defaults
   return {
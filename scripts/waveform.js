@@ -0,0 +1,152 @@
+// ============================================
+// WAVEFORM PROGRESS BAR
+// ============================================
+// Draws a track's precomputed peaks inside #progress-bar. Peaks come from
+// album.json, either inline (`peaks: [0-1, ...]`) or as a JSON file
+// (`peaksUrl`, holding an array or { peaks: [...] }). Tracks without peaks
+// keep the flat fill. Generate peak files with tools/generate-peaks.mjs.
+import { WAVEFORM } from './constants.js';
+import { clamp01, createSVGElement, formatTime } from './utils.js';
+import { getKeyColors } from './color-system.js';
+
+// Keep the loudest of neighbouring peaks (or repeat them) to get `count` bars
+export function resamplePeaks(peaks, count = WAVEFORM.BAR_COUNT) {
+  if (!Array.isArray(peaks) || peaks.length === 0) return [];
+
+  return Array.from({ length: count }, (_, i) => {
+    const start = Math.floor((i * peaks.length) / count);
+    const end = Math.max(start + 1, Math.floor(((i + 1) * peaks.length) / count));
+    let max = 0;
+    for (let j = start; j < end; j += 1) {
+      const value = Number(peaks[j]);
+      if (Number.isFinite(value)) max = Math.max(max, value);
+    }
+    return clamp01(max);
+  });
+}
+
+function buildWaveformPath(bars) {
+  const width = 1 - WAVEFORM.BAR_GAP;
+  return bars
+    .map((peak, i) => {
+      const height = Math.max(WAVEFORM.MIN_BAR_HEIGHT, peak);
+      const y = (1 - height) / 2;
+      return `M${(i + WAVEFORM.BAR_GAP / 2).toFixed(3)} ${y.toFixed(3)}h${width.toFixed(3)}v${height.toFixed(3)}h${(-width).toFixed(3)}Z`;
+    })
+    .join("");
+}
+
+async function fetchPeaks(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+  const data = await response.json();
+  return Array.isArray(data) ? data : data?.peaks;
+}
+
+export function createWaveformController(progressBar) {
+  if (!progressBar) return null;
+
+  const container = progressBar.parentElement;
+  const peaksCache = new Map();
+  let currentTrackId = null;
+  let durationMs = 0;
+
+  const svg = createSVGElement("svg");
+  svg.classList.add("waveform");
+  svg.setAttribute("viewBox", `0 0 ${WAVEFORM.BAR_COUNT} 1`);
+  svg.setAttribute("preserveAspectRatio", "none");
+  svg.setAttribute("aria-hidden", "true");
+
+  const basePath = createSVGElement("path");
+  basePath.classList.add("waveform__bars", "waveform__bars--base");
+  const playedPath = createSVGElement("path");
+  playedPath.classList.add("waveform__bars", "waveform__bars--played");
+  svg.append(basePath, playedPath);
+  progressBar.prepend(svg);
+
+  const tooltip = document.createElement("div");
+  tooltip.className = "progress-tooltip";
+  tooltip.setAttribute("aria-hidden", "true");
+  container?.appendChild(tooltip);
+
+  async function loadPeaks(track) {
+    if (peaksCache.has(track.id)) return peaksCache.get(track.id);
+
+    let peaks = Array.isArray(track.peaks) ? track.peaks : null;
+    if (!peaks && track.peaksUrl) {
+      try {
+        peaks = await fetchPeaks(track.peaksUrl);
+      } catch (error) {
+        console.warn(`⚠️ Unable to load peaks for ${track.id}:`, error);
+      }
+    }
+
+    const bars = resamplePeaks(peaks);
+    peaksCache.set(track.id, bars);
+    return bars;
+  }
+
+  async function setTrack(track) {
+    currentTrackId = track?.id ?? null;
+    if (!track) {
+      progressBar.classList.remove("has-waveform");
+      return;
+    }
+
+    const colors = getKeyColors(track.key);
+    progressBar.style.setProperty("--waveform-played", colors.coreMid);
+    progressBar.style.setProperty("--waveform-unplayed", colors.haloFill);
+
+    const bars = await loadPeaks(track);
+    if (currentTrackId !== track.id) return;
+
+    const hasWaveform = bars.length > 0;
+    progressBar.classList.toggle("has-waveform", hasWaveform);
+    const path = hasWaveform ? buildWaveformPath(bars) : "";
+    basePath.setAttribute("d", path);
+    playedPath.setAttribute("d", path);
+  }
+
+  function setProgress(fraction) {
+    svg.style.setProperty("--progress-percent", `${clamp01(fraction) * 100}%`);
+  }
+
+  function setDuration(milliseconds) {
+    durationMs = Number.isFinite(milliseconds) ? milliseconds : 0;
+  }
+
+  const onPointerMove = (event) => {
+    if (!durationMs) return;
+    const rect = progressBar.getBoundingClientRect();
+    if (!rect.width) return;
+
+    const fraction = clamp01((event.clientX - rect.left) / rect.width);
+    tooltip.textContent = formatTime((fraction * durationMs) / 1000);
+    tooltip.style.left = `${progressBar.offsetLeft + fraction * rect.width}px`;
+    tooltip.classList.add("is-visible");
+  };
+
+  const onPointerLeave = () => {
+    tooltip.classList.remove("is-visible");
+  };
+
+  progressBar.addEventListener("pointermove", onPointerMove);
+  progressBar.addEventListener("pointerleave", onPointerLeave);
+
+  function destroy() {
+    progressBar.removeEventListener("pointermove", onPointerMove);
+    progressBar.removeEventListener("pointerleave", onPointerLeave);
+    progressBar.classList.remove("has-waveform");
+    svg.remove();
+    tooltip.remove();
+  }
+
+  return {
+    setTrack,
+    setProgress,
+    setDuration,
+    destroy,
+  };
+}
@@ -0,0 +1,50 @@
+// Upgrading old album files with scripts/album-migrations.js
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { getSchemaVersion, migrateAlbum } from '../scripts/album-migrations.js';
+import { ALBUM_SCHEMA_VERSION } from '../scripts/album-schema.js';
+
+const V1_ALBUM = {
+  $schema: './album.schema.json',
+  band: 'Soft Pulse',
+  album: 'Constellations',
+  tracks: [
+    { id: 'kopfkino', title: 'Kopfkino', trackNumber: '1', bpm: '120', duration: 288, segueInto: 'true' },
+    { id: 'meteor', title: 'Meteor', trackNumber: 2, bpm: 'fast', duration: '3:05', segueInto: 'maybe' },
+  ],
+};
+
+describe('album migrations', () => {
+  test('files without "schemaVersion" are version 1', () => {
+    assert.equal(getSchemaVersion(V1_ALBUM), 1);
+    assert.equal(getSchemaVersion({ schemaVersion: 2 }), 2);
+    assert.equal(getSchemaVersion(null), 1);
+  });
+
+  test('v1 strings become numbers, flags and m:ss durations', () => {
+    const [first, second] = migrateAlbum(V1_ALBUM).tracks;
+    assert.deepEqual(
+      { trackNumber: first.trackNumber, bpm: first.bpm, duration: first.duration, segueInto: first.segueInto },
+      { trackNumber: 1, bpm: 120, duration: '4:48', segueInto: true }
+    );
+    assert.equal(second.bpm, 'fast', 'values that do not parse are left for validation');
+    assert.equal(second.segueInto, 'maybe');
+    assert.equal(second.duration, '3:05');
+  });
+
+  test('returns a new album with the version up front', () => {
+    const migrated = migrateAlbum(V1_ALBUM);
+    assert.notEqual(migrated, V1_ALBUM);
+    assert.equal(V1_ALBUM.tracks[0].bpm, '120', 'the input is left untouched');
+    assert.deepEqual(Object.keys(migrated).slice(0, 2), ['$schema', 'schemaVersion']);
+    assert.equal(migrated.schemaVersion, ALBUM_SCHEMA_VERSION);
+  });
+
+  test('current and newer albums are returned as they are', () => {
+    const current = { schemaVersion: ALBUM_SCHEMA_VERSION, tracks: [] };
+    const newer = { schemaVersion: ALBUM_SCHEMA_VERSION + 1, tracks: [] };
+    assert.equal(migrateAlbum(current), current);
+    assert.equal(migrateAlbum(newer), newer);
+    assert.equal(migrateAlbum(null), null);
+  });
+});
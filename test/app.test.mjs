@@ -0,0 +1,180 @@
+// Drives the whole app headlessly: selecting stars, stepping tracks,
+// seeking and cycling layouts, against the fake SoundCloud widget.
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { after, afterEach, before, beforeEach, describe, test } from 'node:test';
+import { loadApp, wait } from './load-app.mjs';
+
+const album = JSON.parse(await readFile(new URL('../data/album.json', import.meta.url), 'utf8'));
+const trackOrder = [...album.tracks]
+  .sort((a, b) => a.trackNumber - b.trackNumber)
+  .map((track) => track.id);
+const titleOf = (trackId) => album.tracks.find((track) => track.id === trackId).title;
+
+// A shorter second record so the album switcher has somewhere to go
+const secondAlbum = {
+  ...album,
+  album: 'Second Light',
+  tracks: album.tracks.filter((track) => track.trackNumber <= 5),
+};
+const catalog = {
+  albums: [
+    { id: 'constellations', title: album.album, url: 'data/album.json' },
+    { id: 'second-light', title: secondAlbum.album, url: 'data/second-light.json' },
+  ],
+};
+
+describe('starmap app', () => {
+  let app;
+  let document;
+
+  const currentTitle = () => document.getElementById('current-track-title').textContent;
+  const urlParam = (name) => new URLSearchParams(app.window.location.search).get(name);
+  const activeLayout = () => document.querySelector('.layout-button.is-active')?.dataset.layout;
+  const isWidgetPaused = () => new Promise((resolve) => app.widget.isPaused(resolve));
+
+  let restoreConsole;
+
+  before(async () => {
+    app = await loadApp({
+      files: { 'data/catalog.json': catalog, 'data/second-light.json': secondAlbum },
+    });
+    document = app.document;
+  });
+
+  beforeEach(() => {
+    restoreConsole = app.captureConsole();
+  });
+
+  afterEach(() => restoreConsole());
+
+  after(() => app?.close());
+
+  test('renders a star per track and opens on the first track', () => {
+    assert.equal(document.querySelectorAll('.track-node').length, album.tracks.length);
+    assert.equal(currentTitle(), titleOf(trackOrder[0]));
+  });
+
+  test('clicking a star selects and plays its track', async () => {
+    const trackId = trackOrder[3];
+    app.node(trackId).dispatchEvent(new app.window.MouseEvent('click', { bubbles: true }));
+    await wait(50);
+
+    assert.equal(currentTitle(), titleOf(trackId));
+    assert.ok(app.node(trackId).classList.contains('is-active'));
+    assert.equal(urlParam('track'), trackId);
+    assert.equal(await isWidgetPaused(), false);
+  });
+
+  test('ArrowRight and ArrowLeft step through the tracks in album order', async () => {
+    app.key('ArrowRight');
+    await wait(50);
+    assert.equal(currentTitle(), titleOf(trackOrder[4]));
+
+    app.key('ArrowLeft');
+    app.key('ArrowLeft');
+    await wait(50);
+    assert.equal(currentTitle(), titleOf(trackOrder[2]));
+  });
+
+  test('a finished track advances to the next one', async () => {
+    await app.advance(180000);
+    await wait(50);
+    assert.equal(currentTitle(), titleOf(trackOrder[3]));
+  });
+
+  test('the progress slider seeks the player', async () => {
+    const bar = document.getElementById('progress-bar');
+    const start = await app.getPosition();
+
+    app.key('ArrowRight', bar);
+    await wait(50);
+    assert.equal(await app.getPosition(), start + 5000);
+    assert.equal(currentTitle(), titleOf(trackOrder[3]), 'seeking must not change track');
+
+    app.key('Home', bar);
+    await wait(50);
+    assert.equal(await app.getPosition(), 0);
+    assert.equal(bar.getAttribute('aria-valuenow'), '0');
+  });
+
+  test('ArrowDown and ArrowUp cycle layouts and update the URL', async () => {
+    const layouts = [...document.querySelectorAll('.layout-button')].map((button) => button.dataset.layout);
+    const first = activeLayout();
+    const next = layouts[(layouts.indexOf(first) + 1) % layouts.length];
+
+    app.key('ArrowDown');
+    await wait(50);
+    assert.equal(activeLayout(), next);
+    assert.equal(urlParam('layout'), next);
+
+    app.key('ArrowUp');
+    await wait(50);
+    assert.equal(activeLayout(), first);
+  });
+
+  test('clicking a layout button applies that layout', async () => {
+    const button = document.querySelector('.layout-button:not(.is-active)');
+    button.click();
+    await wait(50);
+    assert.equal(activeLayout(), button.dataset.layout);
+  });
+
+  test('arrow keys on the album switcher are left to the select', async () => {
+    const layout = activeLayout();
+    const title = currentTitle();
+
+    app.key('ArrowDown', document.getElementById('album-select'));
+    app.key('ArrowRight', document.getElementById('album-select'));
+    await wait(50);
+    assert.equal(activeLayout(), layout);
+    assert.equal(currentTitle(), title);
+  });
+
+  test('volume keys change the volume, but not with Ctrl or Cmd held', async () => {
+    const slider = document.getElementById('volume-slider');
+    const press = (key, modifiers = {}) => document.dispatchEvent(
+      new app.window.KeyboardEvent('keydown', { key, bubbles: true, ...modifiers })
+    );
+    const start = Number(slider.value);
+
+    press('-', { ctrlKey: true });
+    press('+', { metaKey: true });
+    press('m', { ctrlKey: true });
+    await wait(50);
+    assert.equal(Number(slider.value), start);
+    assert.equal(document.getElementById('mute-btn').getAttribute('aria-pressed'), 'false');
+
+    press('-');
+    await wait(50);
+    assert.ok(Number(slider.value) < start);
+  });
+
+  test('back/forward to another time of the same track seeks to it', async () => {
+    const url = new URL(app.window.location.href);
+    url.searchParams.set('t', '42');
+    app.window.history.pushState(null, '', url);
+    app.window.dispatchEvent(new app.window.PopStateEvent('popstate'));
+    await wait(50);
+
+    assert.equal(await app.getPosition(), 42000);
+    assert.equal(currentTitle(), titleOf(trackOrder[3]));
+  });
+
+  test('switching albums renders and reveals the new stars', async () => {
+    const select = document.getElementById('album-select');
+    select.value = 'second-light';
+    select.dispatchEvent(new app.window.Event('change', { bubbles: true }));
+    await wait(400);
+
+    const nodes = [...document.querySelectorAll('.track-node')];
+    assert.equal(nodes.length, secondAlbum.tracks.length);
+    assert.ok(nodes.every((node) => node.classList.contains('track-node--loaded')));
+    assert.equal(urlParam('album'), 'second-light');
+    assert.equal(currentTitle(), titleOf(trackOrder[0]));
+  });
+
+  test('logs no errors', () => {
+    assert.deepEqual(app.errors, []);
+  });
+});
@@ -0,0 +1,65 @@
+// Self-hosted audio on other origins: requested with CORS for the analyser,
+// and still played when the host refuses it (see test/load-app.mjs)
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { after, afterEach, before, beforeEach, describe, test } from 'node:test';
+import { loadApp, wait } from './load-app.mjs';
+
+const album = JSON.parse(await readFile(new URL('../data/album.json', import.meta.url), 'utf8'));
+const [sameOrigin, refusesCors, allowsCors] = [...album.tracks].sort((a, b) => a.trackNumber - b.trackNumber);
+sameOrigin.audioUrl = `audio/${sameOrigin.id}.mp3`;
+refusesCors.audioUrl = `https://no-cors.example/${refusesCors.id}.mp3`;
+allowsCors.audioUrl = `https://cdn.example/${allowsCors.id}.mp3`;
+
+describe('cross-origin audio', () => {
+  let app;
+  let document;
+  let restoreConsole;
+
+  const currentTitle = () => document.getElementById('current-track-title').textContent;
+  // Both elements play during a crossfade, so look the track's one up
+  const elementPlaying = (track) => ['audio-player', 'audio-player-alt']
+    .map((id) => document.getElementById(id))
+    .find((audio) => !audio.paused && audio.src === new URL(track.audioUrl, app.window.location.href).href);
+
+  const select = async (track) => {
+    app.node(track.id).dispatchEvent(new app.window.MouseEvent('click', { bubbles: true }));
+    await wait(100);
+  };
+
+  before(async () => {
+    app = await loadApp({ files: { 'data/album.json': album } });
+    document = app.document;
+  });
+
+  beforeEach(() => {
+    restoreConsole = app.captureConsole();
+  });
+
+  afterEach(() => restoreConsole());
+
+  after(() => app?.close());
+
+  test('audio is requested with CORS while the analyser is on', async () => {
+    await select(sameOrigin);
+    assert.equal(elementPlaying(sameOrigin)?.crossOrigin, 'anonymous');
+  });
+
+  test('a host that refuses CORS still plays, without it', async () => {
+    await select(refusesCors);
+    assert.equal(currentTitle(), refusesCors.title);
+    assert.ok(elementPlaying(refusesCors));
+    assert.equal(elementPlaying(refusesCors).hasAttribute('crossorigin'), false);
+    assert.ok(app.warnings.some((warning) => warning.includes('refused CORS')));
+  });
+
+  test('the next file asks for CORS again', async () => {
+    await select(allowsCors);
+    assert.ok(elementPlaying(allowsCors));
+    assert.equal(elementPlaying(allowsCors).crossOrigin, 'anonymous');
+  });
+
+  test('logs no errors', () => {
+    assert.deepEqual(app.errors, []);
+  });
+});
@@ -0,0 +1,48 @@
+// Album-declared patterns in scripts/layouts/constellation.js
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { constellationLayout } from '../scripts/layouts/constellation.js';
+
+const TRACKS = ['a', 'b', 'c', 'd'].map((id) => ({ id, pulseValue: 0.5 }));
+
+function layoutWith(patterns) {
+  return constellationLayout(TRACKS, {}, { patterns });
+}
+
+describe('constellation layout', () => {
+  test('places pattern tracks on their points and links them', () => {
+    const { positions, links } = layoutWith([
+      { name: 'Lyra', tracks: ['a', 'b', 'c'], points: [{ x: 0.1, y: 0.2 }, { x: 0.3, y: 0.4 }, { x: 0.5, y: 0.1 }], links: [[0, 1], [1, 2]] },
+    ]);
+    assert.deepEqual([positions.a.x, positions.a.y], [0.1, 0.2]);
+    assert.deepEqual(links, [['a', 'b'], ['b', 'c']]);
+    assert.ok(positions.d, 'tracks outside every pattern still get a position');
+  });
+
+  test('skips malformed links and patterns instead of throwing', () => {
+    const { links } = layoutWith([
+      null,
+      {
+        name: 'Lyra',
+        tracks: ['a', 'b', 'c'],
+        points: [{ x: 0.1, y: 0.2 }, { x: 0.3, y: 0.4 }, { x: 0.5, y: 0.1 }],
+        links: [[0, 1], 5, null, [1, 7], [1, '2'], [-1, 0], [0, 1, 2], [2, 0]],
+      },
+      { name: 'Orion', tracks: ['d'], points: [{ x: 0.7, y: 0.7 }], links: 'none' },
+    ]);
+    assert.deepEqual(links, [['a', 'b'], ['c', 'a']]);
+  });
+
+  test('labels name their stars so they follow them after relaxation', () => {
+    const { guides } = layoutWith([
+      { name: 'Lyra', tracks: ['a', 'b'], points: [{ x: 0.1, y: 0.2 }, { x: 0.3, y: 0.4 }], links: [] },
+      { tracks: ['c'], points: [{ x: 0.5, y: 0.5 }], links: [] },
+    ]);
+    assert.deepEqual(guides, [{
+      type: 'text',
+      trackIds: ['a', 'b'],
+      text: 'Lyra',
+      className: 'starmap-guide--constellation',
+    }]);
+  });
+});
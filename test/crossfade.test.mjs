@@ -0,0 +1,64 @@
+// Crossfades between self-hosted tracks, however the next track is chosen.
+// Every track gets an audioUrl so the native <audio> backend plays them.
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { after, afterEach, before, beforeEach, describe, test } from 'node:test';
+import { loadApp, wait } from './load-app.mjs';
+
+const album = JSON.parse(await readFile(new URL('../data/album.json', import.meta.url), 'utf8'));
+album.tracks.forEach((track) => {
+  delete track.soundcloudId;
+  track.audioUrl = `audio/${track.id}.mp3`;
+});
+const trackOrder = [...album.tracks]
+  .sort((a, b) => a.trackNumber - b.trackNumber)
+  .map((track) => track.id);
+
+describe('crossfade', () => {
+  let app;
+  let document;
+  let restoreConsole;
+
+  const audioElements = () => ['audio-player', 'audio-player-alt'].map((id) => document.getElementById(id));
+  const playingElements = () => audioElements().filter((audio) => !audio.paused);
+  const isCrossfading = () => document.getElementById('starmap-canvas').classList.contains('is-crossfading');
+
+  before(async () => {
+    app = await loadApp({ files: { 'data/album.json': album } });
+    document = app.document;
+  });
+
+  beforeEach(() => {
+    restoreConsole = app.captureConsole();
+  });
+
+  afterEach(() => restoreConsole());
+
+  after(() => app?.close());
+
+  test('clicking another star fades into it', async () => {
+    app.node(trackOrder[0]).dispatchEvent(new app.window.MouseEvent('click', { bubbles: true }));
+    await wait(100);
+    assert.equal(playingElements().length, 1);
+
+    app.node(trackOrder[1]).dispatchEvent(new app.window.MouseEvent('click', { bubbles: true }));
+    await wait(100);
+    assert.ok(isCrossfading());
+    assert.equal(playingElements().length, 2, 'both tracks play during the fade');
+  });
+
+  test('stepping with the arrow keys fades into the next track', async () => {
+    await wait(2500);
+    assert.equal(playingElements().length, 1, 'the previous fade has finished');
+
+    app.key('ArrowRight');
+    await wait(100);
+    assert.ok(isCrossfading());
+    assert.equal(playingElements().length, 2, 'both tracks play during the fade');
+    assert.ok(app.node(trackOrder[2]).classList.contains('is-active'));
+  });
+
+  test('logs no errors', () => {
+    assert.deepEqual(app.errors, []);
+  });
+});
@@ -0,0 +1,55 @@
+// Key strings as album authors write them, through scripts/key-parser.js
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { parseKey } from '../scripts/key-parser.js';
+
+describe('parseKey', () => {
+  test('reads major and minor keys in their common spellings', () => {
+    assert.deepEqual(parseKey('F♯ Min'), {
+      spelling: 'F♯ Min',
+      tonic: 'F♯',
+      root: 'F♯',
+      pitchClass: 6,
+      mode: 'minor',
+      isMinor: true,
+      parentRoot: 'A',
+    });
+    assert.equal(parseKey('Bb Maj').tonic, 'B♭');
+    assert.equal(parseKey('G#m').mode, 'minor');
+    assert.equal(parseKey('E minor').mode, 'minor');
+    assert.equal(parseKey('C').mode, 'major');
+  });
+
+  test('"M" and "m" keep their different meanings', () => {
+    assert.equal(parseKey('BM').mode, 'major');
+    assert.equal(parseKey('Bm').mode, 'minor');
+  });
+
+  test('enharmonic spellings share a pitch class and root', () => {
+    const flat = parseKey('A♭ Maj');
+    const sharp = parseKey('G# Major');
+    assert.equal(flat.pitchClass, sharp.pitchClass);
+    assert.equal(flat.root, 'G♯');
+    assert.equal(flat.tonic, 'A♭');
+    assert.equal(parseKey('Cb Major').root, 'B');
+  });
+
+  test('modes sit under their parent major scale', () => {
+    assert.deepEqual(
+      ['D Dorian', 'E Phrygian', 'F Lydian', 'G mixolydian', 'A Aeolian', 'B Locrian']
+        .map((key) => parseKey(key).parentRoot),
+      ['C', 'C', 'C', 'C', 'C', 'C']
+    );
+    assert.equal(parseKey('D Dorian').isMinor, true);
+    assert.equal(parseKey('F Lydian').isMinor, false);
+    assert.equal(parseKey('A Aeolian').mode, 'minor');
+  });
+
+  test('rejects what the key pattern rejects', () => {
+    ['H Maj', 'c minor', 'F# MIN', ' C Maj ', 'C Maj ', '', 'Dorian'].forEach((key) => {
+      assert.equal(parseKey(key), null, JSON.stringify(key));
+    });
+    assert.equal(parseKey(undefined), null);
+    assert.equal(parseKey(7), null);
+  });
+});
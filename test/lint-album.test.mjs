@@ -0,0 +1,84 @@
+// tools/lint-album.mjs run as album authors run it, on copies of data/album.json
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import { after, before, describe, test } from 'node:test';
+
+const LINTER = fileURLToPath(new URL('../tools/lint-album.mjs', import.meta.url));
+const ALBUM_TEXT = await readFile(new URL('../data/album.json', import.meta.url), 'utf8');
+
+// Resolves with { code, stdout, stderr } whether or not the linter passes
+function lint(...args) {
+  return promisify(execFile)(process.execPath, [LINTER, ...args])
+    .then(({ stdout, stderr }) => ({ code: 0, stdout, stderr }))
+    .catch(({ code, stdout, stderr }) => ({ code, stdout, stderr }));
+}
+
+function replaceOnce(text, from, to) {
+  assert.ok(text.includes(from), `album.json no longer contains ${from}`);
+  return text.replace(from, to);
+}
+
+describe('lint-album', () => {
+  let dir;
+  const fileIn = (name) => path.join(dir, name);
+
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'lint-album-'));
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  test('passes the shipped album', async () => {
+    const file = fileIn('album.json');
+    await writeFile(file, ALBUM_TEXT);
+    const { code, stdout } = await lint(file);
+    assert.equal(code, 0);
+    assert.match(stdout, /1 album file passed/);
+  });
+
+  test('reports problems with their line numbers', async () => {
+    const file = fileIn('broken.json');
+    await writeFile(file, replaceOnce(ALBUM_TEXT, '"duration": "3:21"', '"duration": "3:2"'));
+    const { code, stderr } = await lint(file);
+    assert.equal(code, 1);
+    const line = ALBUM_TEXT.split('\n').findIndex((text) => text.includes('"duration": "3:21"')) + 1;
+    assert.ok(stderr.includes(`broken.json:${line}: Track 2 (Green Light): "duration" must be m:ss, got "3:2"`), stderr);
+  });
+
+  test('--fix rewrites only the values that need it, in place', async () => {
+    const file = fileIn('fixable.json');
+    let text = ALBUM_TEXT;
+    text = replaceOnce(text, '"key": "Bb Maj"', '"key": " Bb Maj "');
+    text = replaceOnce(text, '"key": "F♯ Min"', '"key": "f♯ min"');
+    text = replaceOnce(text, '"duration": "4:48"', '"duration": "04:48"');
+    text = replaceOnce(text, '"title": "Green Light"', '"title": "Green Light  "');
+    await writeFile(file, text);
+
+    const { code, stdout } = await lint(file, '--fix');
+    assert.equal(code, 0);
+    assert.match(stdout, /4 fixes applied/);
+
+    const fixed = await readFile(file, 'utf8');
+    assert.equal(fixed, replaceOnce(ALBUM_TEXT, '"key": "F♯ Min"', '"key": "F♯ min"'));
+  });
+
+  test('--fix migrates outdated files', async () => {
+    const file = fileIn('old.json');
+    const album = JSON.parse(ALBUM_TEXT);
+    delete album.schemaVersion;
+    album.tracks[0].bpm = String(album.tracks[0].bpm);
+    await writeFile(file, JSON.stringify(album, null, 2));
+
+    assert.match((await lint(file)).stderr, /schema v1 is outdated/);
+    assert.equal((await lint(file, '--fix')).code, 0);
+
+    const migrated = JSON.parse(await readFile(file, 'utf8'));
+    assert.equal(migrated.schemaVersion, JSON.parse(ALBUM_TEXT).schemaVersion);
+    assert.equal(typeof migrated.tracks[0].bpm, 'number');
+  });
+});
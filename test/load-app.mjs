@@ -0,0 +1,153 @@
+// ============================================
+// HEADLESS APP LOADER (tests)
+// ============================================
+// Boots index.html and scripts/main.js in jsdom with the offline SoundCloud
+// stand-in (scripts/fake-soundcloud.js) on a hand-driven clock. Album data
+// is read from disk; media elements and canvas get just enough of a stub
+// for the player to run. One app per test file: main.js keeps module state.
+// `files` serves extra JSON by path, e.g. a catalog with a second album.
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { JSDOM } from 'jsdom';
+
+const ROOT = new URL('../', import.meta.url);
+
+// Globals the app's modules read without going through `window`
+const WINDOW_GLOBALS = [
+  'window', 'document', 'navigator', 'location', 'history', 'localStorage',
+  'HTMLElement', 'Node', 'Event', 'CustomEvent', 'KeyboardEvent', 'MouseEvent',
+  'getComputedStyle', 'matchMedia', 'requestAnimationFrame', 'cancelAnimationFrame',
+];
+
+export const wait = (ms = 0) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const CONSOLE_METHODS = ['log', 'warn', 'error'];
+
+async function fetchFromDisk(path, files = {}) {
+  const relative = String(path).replace(/^\//, '').split('?')[0];
+  if (relative in files) {
+    const data = structuredClone(files[relative]);
+    return { ok: true, status: 200, statusText: 'OK', json: async () => data };
+  }
+
+  const url = new URL(relative, ROOT);
+  try {
+    const text = await readFile(fileURLToPath(url), 'utf8');
+    return { ok: true, status: 200, statusText: 'OK', json: async () => JSON.parse(text) };
+  } catch {
+    return { ok: false, status: 404, statusText: 'Not Found', json: async () => null };
+  }
+}
+
+// Media elements "load" and "play" instantly and never make a sound. Hosts
+// named no-cors.* refuse CORS requests, as a server without
+// Access-Control-Allow-Origin would.
+function refusesCors(element) {
+  return element.hasAttribute('crossorigin') && new URL(element.src).hostname.startsWith('no-cors.');
+}
+
+function stubMediaElements(window) {
+  const media = window.HTMLMediaElement.prototype;
+  Object.defineProperty(media, 'paused', { configurable: true, get() { return this.stubPaused !== false; } });
+  Object.defineProperty(media, 'duration', { configurable: true, get() { return this.src ? 180 : NaN; } });
+  Object.defineProperty(media, 'readyState', { configurable: true, get() { return this.stubReadyState ?? 0; } });
+  Object.defineProperty(media, 'error', { configurable: true, get() { return this.stubError ?? null; } });
+  media.load = function load() {
+    this.stubReadyState = 0;
+    this.stubError = null;
+    setTimeout(() => {
+      if (refusesCors(this)) {
+        this.stubError = { code: 2, message: 'CORS request refused' };
+        this.dispatchEvent(new window.Event('error'));
+        return;
+      }
+      this.stubReadyState = 1;
+      this.dispatchEvent(new window.Event('loadedmetadata'));
+    }, 0);
+  };
+  media.play = function play() {
+    this.stubPaused = false;
+    setTimeout(() => this.dispatchEvent(new window.Event('play')), 0);
+    return Promise.resolve();
+  };
+  media.pause = function pause() {
+    if (this.stubPaused !== false) return;
+    this.stubPaused = true;
+    setTimeout(() => this.dispatchEvent(new window.Event('pause')), 0);
+  };
+  window.HTMLCanvasElement.prototype.getContext = () => null;
+}
+
+export async function loadApp({ search = '', files = {} } = {}) {
+  const html = (await readFile(new URL('index.html', ROOT), 'utf8'))
+    .replace(/<script[\s\S]*?<\/script>/g, '');
+  const dom = new JSDOM(html, { url: `http://localhost/${search}`, pretendToBeVisual: true });
+  const { window } = dom;
+
+  window.matchMedia ??= () => ({ matches: false, addEventListener() {}, removeEventListener() {} });
+  const fetch = (path) => fetchFromDisk(path, files);
+  window.fetch = fetch;
+  stubMediaElements(window);
+  WINDOW_GLOBALS.forEach((name) => {
+    Object.defineProperty(globalThis, name, { configurable: true, writable: true, value: window[name] });
+  });
+  globalThis.fetch = fetch;
+
+  // The app logs a lot: while captured, logs are dropped and warnings and
+  // errors kept for assertions. Returns a function restoring the console.
+  const warnings = [];
+  const errors = [];
+  const captureConsole = () => {
+    const original = Object.fromEntries(CONSOLE_METHODS.map((name) => [name, console[name]]));
+    console.log = () => {};
+    console.warn = (...args) => warnings.push(args.map(String).join(' '));
+    console.error = (...args) => errors.push(args.map(String).join(' '));
+    return () => Object.assign(console, original);
+  };
+  const restoreConsole = captureConsole();
+
+  const { installFakeSoundCloud } = await import('../scripts/fake-soundcloud.js');
+  const SC = installFakeSoundCloud(window, { autoAdvance: false, tickInterval: 250 });
+  globalThis.SC = SC;
+
+  await import('../scripts/main.js');
+  window.dispatchEvent(new window.Event('load'));
+  await wait(400);
+  restoreConsole();
+
+  const { document } = window;
+
+  return {
+    window,
+    document,
+    warnings,
+    errors,
+    captureConsole,
+    widget: SC.Widget(document.getElementById('sc-widget')),
+
+    // Steps the fake widget's clock, letting its deferred events run
+    async advance(ms) {
+      SC.clock.advance(ms);
+      await wait(20);
+    },
+
+    key(key, target = document) {
+      target.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true }));
+    },
+
+    node(trackId) {
+      return document.querySelector(`.track-node[data-id="${trackId}"]`);
+    },
+
+    getPosition() {
+      return new Promise((resolve) => this.widget.getPosition(resolve));
+    },
+
+    close() {
+      const restore = captureConsole();
+      window.dispatchEvent(new window.Event('pagehide'));
+      window.close();
+      restore();
+    },
+  };
+}
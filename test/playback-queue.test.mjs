@@ -0,0 +1,65 @@
+// Next/previous, shuffle and repeat rules from scripts/playback-queue.js
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import {
+  createQueueState,
+  createShuffleOrder,
+  cycleRepeatMode,
+  getAdjacentTrackId,
+  getPlaybackOrder,
+} from '../scripts/playback-queue.js';
+
+const ORDER = ['a', 'b', 'c', 'd'];
+
+// Deterministic stand-in for Math.random
+function sequence(...values) {
+  let index = 0;
+  return () => values[index++ % values.length];
+}
+
+describe('playback queue', () => {
+  test('repeat cycles off → all → one → off', () => {
+    assert.equal(cycleRepeatMode('off'), 'all');
+    assert.equal(cycleRepeatMode('all'), 'one');
+    assert.equal(cycleRepeatMode('one'), 'off');
+  });
+
+  test('steps through album order and wraps when stepping by hand', () => {
+    const queue = createQueueState();
+    assert.equal(getAdjacentTrackId(queue, ORDER, 'b', 1), 'c');
+    assert.equal(getAdjacentTrackId(queue, ORDER, 'b', -1), 'a');
+    assert.equal(getAdjacentTrackId(queue, ORDER, 'd', 1), 'a');
+    assert.equal(getAdjacentTrackId(queue, ORDER, 'a', -1), 'd');
+    assert.equal(getAdjacentTrackId(queue, ORDER, null, 1), 'a');
+    assert.equal(getAdjacentTrackId(queue, [], 'a', 1), null);
+  });
+
+  test('a finished track follows the repeat mode', () => {
+    const queue = createQueueState();
+    assert.equal(getAdjacentTrackId(queue, ORDER, 'd', 1, { auto: true }), null);
+
+    queue.repeatMode = 'all';
+    assert.equal(getAdjacentTrackId(queue, ORDER, 'd', 1, { auto: true }), 'a');
+
+    queue.repeatMode = 'one';
+    assert.equal(getAdjacentTrackId(queue, ORDER, 'b', 1, { auto: true }), 'b');
+    assert.equal(getAdjacentTrackId(queue, ORDER, 'b', 1), 'c', 'stepping by hand ignores repeat-one');
+  });
+
+  test('shuffle keeps the playing track first and every track once', () => {
+    const order = createShuffleOrder(ORDER, 'c', sequence(0, 0.5, 0.99));
+    assert.equal(order[0], 'c');
+    assert.deepEqual([...order].sort(), ORDER);
+    assert.deepEqual(createShuffleOrder(ORDER, 'c', sequence(0, 0.5, 0.99)), order, 'same randomness, same order');
+    assert.deepEqual([...createShuffleOrder(ORDER)].sort(), ORDER);
+  });
+
+  test('shuffle order is used only while it matches the album', () => {
+    const queue = { ...createQueueState(), shuffle: true, shuffleOrder: ['c', 'a', 'd', 'b'] };
+    assert.deepEqual(getPlaybackOrder(queue, ORDER), ['c', 'a', 'd', 'b']);
+    assert.equal(getAdjacentTrackId(queue, ORDER, 'a', 1), 'd');
+
+    queue.shuffleOrder = ['c', 'a'];
+    assert.deepEqual(getPlaybackOrder(queue, ORDER), ORDER);
+  });
+});
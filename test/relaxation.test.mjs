@@ -0,0 +1,54 @@
+// Collision relaxation (scripts/layouts/relaxation.js) measured the way the
+// stars are drawn: through mapToCanvasX/Y and at their flare radius
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { CANVAS, NODE, RELAXATION } from '../scripts/constants.js';
+import { relaxPositions } from '../scripts/layouts/relaxation.js';
+import { calculateNodeRadius } from '../scripts/node-renderer.js';
+
+const TRACKS = [
+  { id: 'a', title: 'A', bpm: 120 },
+  { id: 'b', title: 'B', bpm: 120 },
+];
+const MIN_GAP = calculateNodeRadius(TRACKS[0]) * NODE.FLARE_SCALE * 2 + RELAXATION.NODE_PADDING;
+
+// Distance between two relaxed stars in drawn pixels
+function drawnDistance(positions, width, height) {
+  const spanX = width - CANVAS.OFFSET_LEFT;
+  const spanY = height - CANVAS.OFFSET_TOP;
+  return Math.hypot((positions.a.x - positions.b.x) * spanX, (positions.a.y - positions.b.y) * spanY);
+}
+
+describe('relaxPositions', () => {
+  test('pushes overlapping stars apart until their flares clear', () => {
+    const relaxed = relaxPositions(
+      { a: { x: 0.5, y: 0.5 }, b: { x: 0.51, y: 0.5 } },
+      TRACKS,
+      { width: 1000, height: 800, includeLabels: false }
+    );
+    assert.ok(drawnDistance(relaxed, 1000, 800) >= MIN_GAP - 1e-6);
+  });
+
+  test('spaces stars over the mapped canvas area, not the full bounds', () => {
+    const offsets = { left: CANVAS.OFFSET_LEFT, top: CANVAS.OFFSET_TOP };
+    CANVAS.OFFSET_LEFT = 400;
+    CANVAS.OFFSET_TOP = 300;
+    try {
+      const relaxed = relaxPositions(
+        { a: { x: 0.5, y: 0.5 }, b: { x: 0.5, y: 0.5 } },
+        TRACKS,
+        { width: 1000, height: 800, includeLabels: false }
+      );
+      assert.ok(drawnDistance(relaxed, 1000, 800) >= MIN_GAP - 1e-6);
+    } finally {
+      CANVAS.OFFSET_LEFT = offsets.left;
+      CANVAS.OFFSET_TOP = offsets.top;
+    }
+  });
+
+  test('leaves stars that already clear each other where they are', () => {
+    const positions = { a: { x: 0.1, y: 0.1 }, b: { x: 0.9, y: 0.9 } };
+    const relaxed = relaxPositions(positions, TRACKS, { width: 1000, height: 800, includeLabels: false });
+    assert.deepEqual(relaxed, positions);
+  });
+});
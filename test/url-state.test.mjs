@@ -0,0 +1,33 @@
+// Deep-link parsing from scripts/url-state.js
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { parseTimestamp, readUrlState } from '../scripts/url-state.js';
+
+describe('url state', () => {
+  test('timestamps may be seconds, clock time or 1m32s', () => {
+    assert.equal(parseTimestamp('92'), 92);
+    assert.equal(parseTimestamp('92.5'), 92.5);
+    assert.equal(parseTimestamp('1:32'), 92);
+    assert.equal(parseTimestamp('1:02:03'), 3723);
+    assert.equal(parseTimestamp('1m32s'), 92);
+    assert.equal(parseTimestamp('1h'), 3600);
+    assert.equal(parseTimestamp(' 45 '), 45);
+  });
+
+  test('anything else is no timestamp', () => {
+    [null, undefined, '', 'soon', '1:2:3:4', '-5', 'm'].forEach((value) => {
+      assert.equal(parseTimestamp(value), null, JSON.stringify(value));
+    });
+  });
+
+  test('reads album, layout, track and time from the query string', () => {
+    assert.deepEqual(
+      readUrlState({ search: '?album=constellations&layout=tempo-spiral&track=meteor&t=1:32&edit=1' }),
+      { albumId: 'constellations', layout: 'tempo-spiral', trackId: 'meteor', time: 92 }
+    );
+    assert.deepEqual(
+      readUrlState({ search: '' }),
+      { albumId: null, layout: null, trackId: null, time: null }
+    );
+  });
+});
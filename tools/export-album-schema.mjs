@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+// ============================================
+// ALBUM JSON SCHEMA EXPORT
+// ============================================
+// Writes the album format from scripts/album-schema.js as standard JSON
+// Schema, for editors and external validators. Album files point at it with
+// "$schema": "./album.schema.json".
+//
+//   node tools/export-album-schema.mjs [--out data/album.schema.json] [--check]
+//
+// --check exits non-zero when the file on disk is out of date.
+import { readFile, writeFile } from 'node:fs/promises';
+import { getAlbumJSONSchema } from '../scripts/album-schema.js';
+
+const DEFAULT_OUT = 'data/album.schema.json';
+
+function parseArgs(argv) {
+  const options = { out: DEFAULT_OUT, check: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--out') options.out = argv[++i];
+    else if (arg === '--check') options.check = true;
+    else if (arg === '--help' || arg === '-h') options.help = true;
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log('Usage: node tools/export-album-schema.mjs [--out data/album.schema.json] [--check]');
+    return;
+  }
+
+  const contents = `${JSON.stringify(getAlbumJSONSchema(), null, 2)}\n`;
+
+  if (options.check) {
+    const current = await readFile(options.out, 'utf8').catch(() => '');
+    if (current !== contents) {
+      console.error(`❌ ${options.out} is out of date; run node tools/export-album-schema.mjs`);
+      process.exit(1);
+    }
+    console.log(`✅ ${options.out} is up to date`);
+    return;
+  }
+
+  await writeFile(options.out, contents);
+  console.log(`✅ Album schema written to ${options.out}`);
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
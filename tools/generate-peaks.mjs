@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+// ============================================
+// PEAK GENERATOR (offline)
+// ============================================
+// Reads local audio files and writes one peaks file per track for the
+// waveform progress bar (scripts/waveform.js).
+//
+//   node tools/generate-peaks.mjs <audio-dir> [--album data/album.json]
+//                                 [--out data/peaks] [--count 480]
+//
+// A track's file is the basename of its `audioUrl`, or else <track id>.<ext>.
+// WAV (PCM or float, plain or extensible) is decoded directly; other
+// formats go through ffmpeg when it is on the PATH. Add the printed
+// "peaksUrl" lines to album.json.
+import { spawn } from 'node:child_process';
+import { mkdir, readFile, readdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+const DEFAULTS = {
+  album: 'data/album.json',
+  out: 'data/peaks',
+  count: 480,
+};
+
+function parseArgs(argv) {
+  const options = { ...DEFAULTS, audioDir: null };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--album') options.album = argv[++i];
+    else if (arg === '--out') options.out = argv[++i];
+    else if (arg === '--count') options.count = Number(argv[++i]);
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else if (!options.audioDir) options.audioDir = arg;
+  }
+  return options;
+}
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+
+// Extensible files (most 24-bit and multichannel exports) name the real
+// format in the first two bytes of the SubFormat GUID at fmt offset 24
+function readAudioFormat(buffer, body, size) {
+  const tag = buffer.readUInt16LE(body);
+  if (tag === WAVE_FORMAT_EXTENSIBLE && size >= 26) return buffer.readUInt16LE(body + 24);
+  return tag;
+}
+
+// Mono float samples from a RIFF/WAVE buffer (PCM 8/16/24/32 or float 32,
+// plain or extensible)
+function decodeWav(buffer) {
+  if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+
+  let offset = 12;
+  let format = null;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      format = {
+        audioFormat: readAudioFormat(buffer, body, size),
+        channels: buffer.readUInt16LE(body + 2),
+        bitsPerSample: buffer.readUInt16LE(body + 14),
+      };
+      if (format.audioFormat !== WAVE_FORMAT_PCM && format.audioFormat !== WAVE_FORMAT_IEEE_FLOAT) {
+        throw new Error(`Unsupported WAV format 0x${format.audioFormat.toString(16)}`);
+      }
+    } else if (id === 'data' && format) {
+      return readSamples(buffer.subarray(body, body + size), format);
+    }
+    offset = body + size + (size % 2);
+  }
+
+  throw new Error('WAV file has no data chunk');
+}
+
+function readSamples(data, { audioFormat, channels, bitsPerSample }) {
+  const bytes = bitsPerSample / 8;
+  const frameSize = bytes * channels;
+  const frames = Math.floor(data.length / frameSize);
+  const isFloat = audioFormat === WAVE_FORMAT_IEEE_FLOAT;
+  const samples = new Float32Array(frames);
+
+  const read = (position) => {
+    if (isFloat) return data.readFloatLE(position);
+    if (bytes === 1) return (data.readUInt8(position) - 128) / 128;
+    if (bytes === 2) return data.readInt16LE(position) / 32768;
+    if (bytes === 3) return data.readIntLE(position, 3) / 8388608;
+    return data.readInt32LE(position) / 2147483648;
+  };
+
+  for (let frame = 0; frame < frames; frame += 1) {
+    let sum = 0;
+    for (let channel = 0; channel < channels; channel += 1) {
+      sum += read(frame * frameSize + channel * bytes);
+    }
+    samples[frame] = sum / channels;
+  }
+  return samples;
+}
+
+function decodeWithFfmpeg(file) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn('ffmpeg', ['-v', 'error', '-i', file, '-ac', '1', '-ar', '22050', '-f', 'f32le', '-']);
+    const chunks = [];
+    ffmpeg.stdout.on('data', (chunk) => chunks.push(chunk));
+    ffmpeg.on('error', () => reject(new Error('ffmpeg is required for non-WAV files')));
+    ffmpeg.on('close', (code) => {
+      if (code !== 0) {
+        reject(new Error(`ffmpeg exited with code ${code}`));
+        return;
+      }
+      const buffer = Buffer.concat(chunks);
+      const samples = new Float32Array(Math.floor(buffer.length / 4));
+      for (let i = 0; i < samples.length; i += 1) samples[i] = buffer.readFloatLE(i * 4);
+      resolve(samples);
+    });
+  });
+}
+
+async function decodeAudio(file) {
+  if (path.extname(file).toLowerCase() === '.wav') {
+    return decodeWav(await readFile(file));
+  }
+  return decodeWithFfmpeg(file);
+}
+
+// Loudest sample per window, normalised so the loudest window is 1
+function computePeaks(samples, count) {
+  const peaks = new Array(count).fill(0);
+  if (!samples.length) return peaks;
+
+  const windowSize = samples.length / count;
+  for (let i = 0; i < count; i += 1) {
+    const start = Math.floor(i * windowSize);
+    const end = Math.max(start + 1, Math.floor((i + 1) * windowSize));
+    let max = 0;
+    for (let j = start; j < end && j < samples.length; j += 1) {
+      max = Math.max(max, Math.abs(samples[j]));
+    }
+    peaks[i] = max;
+  }
+
+  const loudest = Math.max(...peaks) || 1;
+  return peaks.map((peak) => Math.round((peak / loudest) * 100) / 100);
+}
+
+function findAudioFile(track, files) {
+  if (track.audioUrl) {
+    const name = path.basename(new URL(track.audioUrl, 'file:///').pathname);
+    if (files.includes(name)) return name;
+  }
+  return files.find((file) => path.parse(file).name === track.id) ?? null;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help || !options.audioDir) {
+    console.log('Usage: node tools/generate-peaks.mjs <audio-dir> [--album data/album.json] [--out data/peaks] [--count 480]');
+    process.exit(options.help ? 0 : 1);
+  }
+  if (!Number.isInteger(options.count) || options.count < 1) {
+    throw new Error('--count must be a positive integer');
+  }
+
+  const album = JSON.parse(await readFile(options.album, 'utf8'));
+  const files = await readdir(options.audioDir);
+  await mkdir(options.out, { recursive: true });
+
+  let written = 0;
+  for (const track of album.tracks || []) {
+    const file = findAudioFile(track, files);
+    if (!file) {
+      console.warn(`⚠️ ${track.id}: no audio file found, skipped`);
+      continue;
+    }
+
+    try {
+      const samples = await decodeAudio(path.join(options.audioDir, file));
+      const peaks = computePeaks(samples, options.count);
+      const target = path.join(options.out, `${track.id}.json`);
+      await writeFile(target, `${JSON.stringify({ peaks })}\n`);
+      written += 1;
+      console.log(`✅ ${track.id}: "peaksUrl": "${target.split(path.sep).join('/')}"`);
+    } catch (error) {
+      console.warn(`⚠️ ${track.id}: ${error.message}`);
+    }
+  }
+
+  console.log(`${written} peak file(s) written to ${options.out}`);
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
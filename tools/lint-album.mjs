@@ -0,0 +1,393 @@
+#!/usr/bin/env node
+// ============================================
+// ALBUM LINTER
+// ============================================
+// Runs the site's own album validation (scripts/validation.js) over album
+// files and reports each problem as file:line, plus checks the browser
+// doesn't make: SoundCloud ids must parse, durations must be m:ss and track
+// numbers must run 1..n without gaps.
+//
+//   node tools/lint-album.mjs [album.json ...] [--fix]
+//
+// Without files it lints every album in data/catalog.json (or
+// data/album.json when there is no catalog). Exits non-zero on any problem.
+//
+// --fix applies the normalizations that can't change meaning: outdated
+// files are migrated, stray whitespace is trimmed, durations lose leading
+// zeros ("04:48") and keys get their case fixed ("f# MINOR" → "F# Minor"),
+// keeping the author's choice of ♯/#, ♭/b and quality wording. Values are
+// rewritten in place so the rest of the file keeps its formatting; only a
+// schema migration re-serializes the whole file.
+import { access, readFile, writeFile } from 'node:fs/promises';
+import { ALBUM_FIELDS, ALBUM_SCHEMA_VERSION, TRACK_FIELDS } from '../scripts/album-schema.js';
+import { getSchemaVersion, migrateAlbum } from '../scripts/album-migrations.js';
+import { CATALOG } from '../scripts/constants.js';
+import { parseKey } from '../scripts/key-parser.js';
+import { normalizeSoundUrl } from '../scripts/utils.js';
+import { collectAlbumErrors, validateCatalog } from '../scripts/validation.js';
+
+const DURATION_PATTERN = /^\d+:[0-5]\d$/;
+
+function parseArgs(argv) {
+  const options = { files: [], fix: false };
+  for (const arg of argv) {
+    if (arg === '--fix') options.fix = true;
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else options.files.push(arg);
+  }
+  return options;
+}
+
+// ============================================
+// SOURCE LOCATIONS
+// ============================================
+
+// Maps every value's path ("tracks.0.key") to its { start, end } offsets.
+// Only called on text JSON.parse() has already accepted.
+function locateValues(text) {
+  const locations = new Map();
+  let pos = 0;
+
+  const skipWhitespace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos += 1;
+  };
+
+  const readString = () => {
+    const start = pos;
+    pos += 1;
+    while (text[pos] !== '"') pos += text[pos] === '\\' ? 2 : 1;
+    pos += 1;
+    return JSON.parse(text.slice(start, pos));
+  };
+
+  const readValue = (path) => {
+    skipWhitespace();
+    const start = pos;
+    const char = text[pos];
+
+    if (char === '{' || char === '[') {
+      const close = char === '{' ? '}' : ']';
+      let index = 0;
+      pos += 1;
+      skipWhitespace();
+      while (text[pos] !== close) {
+        let key = index;
+        if (char === '{') {
+          key = readString();
+          skipWhitespace();
+          pos += 1; // ':'
+        }
+        readValue([...path, key]);
+        skipWhitespace();
+        if (text[pos] === ',') pos += 1;
+        skipWhitespace();
+        index += 1;
+      }
+      pos += 1;
+    } else if (char === '"') {
+      readString();
+    } else {
+      while (pos < text.length && !/[\s,\]}]/.test(text[pos])) pos += 1;
+    }
+
+    locations.set(path.join('.'), { start, end: pos });
+  };
+
+  readValue([]);
+  return locations;
+}
+
+function lineAt(text, offset) {
+  let line = 1;
+  for (let i = 0; i < offset && i < text.length; i += 1) {
+    if (text[i] === '\n') line += 1;
+  }
+  return line;
+}
+
+// Closest located path for a validation message, walking up to the parent
+// when the exact field is missing from the file
+function findLocation(locations, path) {
+  const parts = path.split('.').filter(Boolean);
+  while (parts.length > 0) {
+    const location = locations.get(parts.join('.'));
+    if (location) return location;
+    parts.pop();
+  }
+  return locations.get('') ?? { start: 0 };
+}
+
+// Best path for an error entry from scripts/validation.js
+function pathForError({ trackIndex, field, layoutId, patternIndex }) {
+  if (trackIndex !== null) return `tracks.${trackIndex}.${field ?? ''}`;
+  if (layoutId !== null) {
+    return patternIndex !== null ? `layouts.${layoutId}.patterns.${patternIndex}` : `layouts.${layoutId}`;
+  }
+  return field ?? '';
+}
+
+// ============================================
+// CHECKS
+// ============================================
+
+function trackLabel(track, index) {
+  return `Track ${index + 1} (${track?.title || 'Unknown'})`;
+}
+
+// Problems validateAlbum() doesn't report, as { path, message }
+function collectLintProblems(album) {
+  const problems = [];
+  const tracks = album.tracks.filter((track) => track && typeof track === 'object');
+
+  album.tracks.forEach((track, i) => {
+    if (!track || typeof track !== 'object') return;
+    const label = trackLabel(track, i);
+
+    if (typeof track.soundcloudId === 'string' && track.soundcloudId && !normalizeSoundUrl(track.soundcloudId)) {
+      problems.push({
+        path: `tracks.${i}.soundcloudId`,
+        message: `${label}: "soundcloudId" is neither a URL nor a numeric track id`,
+      });
+    }
+
+    if (typeof track.duration === 'string' && track.duration && !DURATION_PATTERN.test(track.duration)) {
+      problems.push({
+        path: `tracks.${i}.duration`,
+        message: `${label}: "duration" must be m:ss, got "${track.duration}"`,
+      });
+    }
+  });
+
+  const numbers = new Set(tracks.map((track) => track.trackNumber));
+  const missing = [];
+  for (let number = 1; number <= album.tracks.length; number += 1) {
+    if (!numbers.has(number)) missing.push(number);
+  }
+  if (missing.length > 0) {
+    problems.push({
+      path: 'tracks',
+      message: `Track numbers must run 1-${album.tracks.length} without gaps; missing ${missing.join(', ')}`,
+    });
+  }
+
+  return problems;
+}
+
+// ============================================
+// FIXES
+// ============================================
+
+// Fixes the case of the tonic and then the quality, only as far as needed
+// for parseKey() to accept it. Single-letter qualities are left alone since
+// "M" and "m" mean different things, as are bare tonics ("c" may mean C
+// minor in some notations).
+function normalizeKeySpelling(key) {
+  const trimmed = key.trim();
+  if (parseKey(trimmed)) return trimmed;
+
+  const match = trimmed.match(/^([A-Ga-g])([♯#♭b]?)(\s*)([A-Za-z]+)$/);
+  if (!match) return key;
+
+  const [, letter, accidental, space, quality] = match;
+  const candidates = [`${letter.toUpperCase()}${accidental}${space}${quality}`];
+  if (quality.length > 1) {
+    candidates.push(`${candidates[0].slice(0, -quality.length)}${quality[0].toUpperCase()}${quality.slice(1).toLowerCase()}`);
+  }
+  return candidates.find((candidate) => parseKey(candidate)) ?? key;
+}
+
+// "04:48" → "4:48"; anything else is left alone
+function normalizeDuration(duration) {
+  const match = duration.trim().match(/^0*(\d+):([0-5]\d)$/);
+  return match ? `${match[1]}:${match[2]}` : duration;
+}
+
+function fixStringValue(field, value) {
+  if (field === 'key') return normalizeKeySpelling(value);
+  if (field === 'duration') return normalizeDuration(value);
+  return value.trim();
+}
+
+// Replacement values for every string field that has a safer spelling
+function collectFixes(album) {
+  const fixes = [];
+
+  const check = (object, fields, base) => {
+    Object.entries(fields).forEach(([field, rules]) => {
+      const value = object[field];
+      if (rules.type !== 'string' || typeof value !== 'string') return;
+      const fixed = fixStringValue(field, value);
+      if (fixed !== value) fixes.push({ path: `${base}${field}`, value: fixed });
+    });
+  };
+
+  check(album, ALBUM_FIELDS, '');
+  album.tracks.forEach((track, i) => {
+    if (track && typeof track === 'object') check(track, TRACK_FIELDS, `tracks.${i}.`);
+  });
+
+  return fixes;
+}
+
+// Returns { text, album, fixed } with the safe fixes written into `text`
+function applyFixes(text, album) {
+  let fixed = 0;
+
+  if (getSchemaVersion(album) < ALBUM_SCHEMA_VERSION) {
+    album = migrateAlbum(album);
+    text = `${JSON.stringify(album, null, 2)}\n`;
+    fixed += 1;
+  }
+
+  const fixes = collectFixes(album);
+  if (fixes.length > 0) {
+    const locations = locateValues(text);
+    fixes
+      .map((fix) => ({ ...fix, ...locations.get(fix.path) }))
+      .sort((a, b) => b.start - a.start)
+      .forEach((fix) => {
+        text = `${text.slice(0, fix.start)}${JSON.stringify(fix.value)}${text.slice(fix.end)}`;
+      });
+    album = JSON.parse(text);
+    fixed += fixes.length;
+  }
+
+  return { text, album, fixed };
+}
+
+// ============================================
+// FILES
+// ============================================
+
+// Node's JSON.parse messages quote the offending text across lines
+function describeJsonError(error) {
+  return `Invalid JSON: ${error.message.replace(/\s+/g, ' ')}`;
+}
+
+function jsonErrorLine(text, error) {
+  const position = Number(error.message.match(/position (\d+)/)?.[1]);
+  return Number.isFinite(position) ? lineAt(text, position) : 1;
+}
+
+async function lintAlbumFile(file, { fix }) {
+  const found = [];
+  const report = (line, message) => found.push({ line, message });
+  const done = (fixed = 0) => ({
+    problems: found
+      .sort((a, b) => a.line - b.line)
+      .map(({ line, message }) => `${file}:${line}: ${message}`),
+    fixed,
+  });
+
+  let text;
+  try {
+    text = await readFile(file, 'utf8');
+  } catch (error) {
+    report(1, `Cannot read file (${error.code || error.message})`);
+    return done();
+  }
+
+  let album;
+  try {
+    album = JSON.parse(text);
+  } catch (error) {
+    report(jsonErrorLine(text, error), describeJsonError(error));
+    return done();
+  }
+
+  if (!album || !Array.isArray(album.tracks)) {
+    report(1, 'Album must have a tracks array');
+    return done();
+  }
+
+  let fixed = 0;
+  if (fix) {
+    const result = applyFixes(text, album);
+    if (result.fixed > 0) {
+      await writeFile(file, result.text);
+      ({ text, album, fixed } = result);
+    }
+  }
+
+  const locations = locateValues(text);
+  const reportAt = (path, message) => {
+    report(lineAt(text, findLocation(locations, path).start), message);
+  };
+
+  const version = getSchemaVersion(album);
+  if (version < ALBUM_SCHEMA_VERSION) {
+    reportAt('schemaVersion', `Album: schema v${version} is outdated (current is v${ALBUM_SCHEMA_VERSION}); run with --fix to migrate`);
+    album = migrateAlbum(album);
+  }
+
+  try {
+    collectAlbumErrors(album).forEach((error) => reportAt(pathForError(error), error.message));
+  } catch (error) {
+    reportAt('tracks', error.message);
+  }
+
+  collectLintProblems(album).forEach(({ path, message }) => reportAt(path, message));
+
+  return done(fixed);
+}
+
+// Album files named by data/catalog.json, or the single-album fallback
+async function getCatalogFiles(problems) {
+  const manifest = CATALOG.MANIFEST_URL;
+  const exists = await access(manifest).then(() => true, () => false);
+  if (!exists) return [CATALOG.FALLBACK_ALBUM_URL];
+
+  const text = await readFile(manifest, 'utf8');
+  let catalog;
+  try {
+    catalog = JSON.parse(text);
+  } catch (error) {
+    problems.push(`${manifest}:${jsonErrorLine(text, error)}: ${describeJsonError(error)}`);
+    return [];
+  }
+
+  const errors = validateCatalog(catalog);
+  if (errors.length > 0) {
+    const locations = locateValues(text);
+    errors.forEach(({ message, albumIndex }) => {
+      const path = albumIndex !== null ? `albums.${albumIndex}` : 'albums';
+      problems.push(`${manifest}:${lineAt(text, findLocation(locations, path).start)}: ${message}`);
+    });
+  }
+
+  return (catalog?.albums ?? [])
+    .map((entry) => entry?.url)
+    .filter((url) => typeof url === 'string' && url);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log('Usage: node tools/lint-album.mjs [album.json ...] [--fix]');
+    return;
+  }
+
+  const problems = [];
+  const files = options.files.length > 0 ? options.files : await getCatalogFiles(problems);
+
+  for (const file of files) {
+    const result = await lintAlbumFile(file, options);
+    problems.push(...result.problems);
+    if (result.fixed > 0) {
+      console.log(`🔧 ${file}: ${result.fixed} fix${result.fixed === 1 ? '' : 'es'} applied`);
+    }
+  }
+
+  problems.forEach((problem) => console.error(problem));
+
+  if (problems.length > 0) {
+    console.error(`❌ ${problems.length} problem${problems.length === 1 ? '' : 's'} in ${files.length} album file${files.length === 1 ? '' : 's'}`);
+    process.exit(1);
+  }
+  console.log(`✅ ${files.length} album file${files.length === 1 ? '' : 's'} passed`);
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});